@@ -0,0 +1,165 @@
+/**
+ * Tikky - Theme Menu
+ * The theme button (#theme-switcher) and its menu (#theme-menu), following
+ * the WAI-ARIA menu button pattern. The page decides what a choice does.
+ */
+
+const ThemeMenu = (function() {
+  'use strict';
+
+  // ==========================================================================
+  // Menu
+  // ==========================================================================
+
+  function getElements() {
+    return {
+      menu: document.getElementById('theme-menu'),
+      button: document.getElementById('theme-switcher')
+    };
+  }
+
+  function getItems() {
+    return Array.from(document.querySelectorAll('#theme-menu [role="menuitemradio"]'));
+  }
+
+  /**
+   * Opens the menu and focuses the chosen mode, or the last item.
+   */
+  function open(focusLast) {
+    const elements = getElements();
+    if (!elements.menu || !elements.button) return;
+
+    elements.menu.hidden = false;
+    elements.button.setAttribute('aria-expanded', 'true');
+
+    const items = getItems();
+    const checked = items.find(function(item) {
+      return item.getAttribute('aria-checked') === 'true';
+    });
+    const target = focusLast ? items[items.length - 1] : checked || items[0];
+    if (target) target.focus();
+  }
+
+  /**
+   * Closes the menu, returning focus to its button unless focus is moving
+   * elsewhere.
+   */
+  function close(restoreFocus) {
+    const elements = getElements();
+    if (!elements.menu || !elements.button || elements.menu.hidden) return;
+
+    elements.menu.hidden = true;
+    elements.button.setAttribute('aria-expanded', 'false');
+    if (restoreFocus !== false) elements.button.focus();
+  }
+
+  /**
+   * Arrow keys, Home and End move between items; Escape and Tab close.
+   */
+  function handleKeydown(e) {
+    const items = getItems();
+    const index = items.indexOf(document.activeElement);
+
+    switch (e.key) {
+      case 'ArrowDown':
+        items[(index + 1) % items.length].focus();
+        break;
+      case 'ArrowUp':
+        items[(index - 1 + items.length) % items.length].focus();
+        break;
+      case 'Home':
+        items[0].focus();
+        break;
+      case 'End':
+        items[items.length - 1].focus();
+        break;
+      case 'Escape':
+        close();
+        break;
+      case 'Tab':
+        close(false);
+        return;
+      default:
+        return;
+    }
+    e.preventDefault();
+  }
+
+  // ==========================================================================
+  // Public Functions
+  // ==========================================================================
+
+  /**
+   * Wires the theme button up as a menu button.
+   * @param {Function} onSelect - Called with the chosen item's data-theme-mode
+   */
+  function setup(onSelect) {
+    const elements = getElements();
+    const menu = elements.menu;
+    const button = elements.button;
+    if (!menu || !button) return;
+
+    button.addEventListener('click', function() {
+      if (menu.hidden) {
+        open();
+      } else {
+        close();
+      }
+    });
+
+    button.addEventListener('keydown', function(e) {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        open(e.key === 'ArrowUp');
+      }
+    });
+
+    menu.addEventListener('keydown', handleKeydown);
+
+    getItems().forEach(function(item) {
+      item.addEventListener('click', function() {
+        onSelect(item.dataset.themeMode);
+        close();
+      });
+    });
+
+    // Clicking anywhere else closes the menu
+    document.addEventListener('click', function(e) {
+      if (!menu.contains(e.target) && !button.contains(e.target)) {
+        close(false);
+      }
+    });
+  }
+
+  /**
+   * Shows the chosen mode on the button and menu.
+   * @param {string} mode - Theme mode, e.g. 'dark' or 'system'
+   * @param {Object} [labels] - The locale's meta.theme strings; without them
+   *   the existing labels stay
+   */
+  function update(mode, labels) {
+    const button = getElements().button;
+    if (button) {
+      const icon = button.querySelector('use');
+      if (icon) icon.setAttribute('href', '#theme-icon-' + mode);
+      if (labels) {
+        button.setAttribute('aria-label', labels.label + ': ' + labels[mode]);
+      }
+    }
+
+    getItems().forEach(function(item) {
+      const itemMode = item.dataset.themeMode;
+      item.setAttribute('aria-checked', itemMode === mode ? 'true' : 'false');
+      const label = item.querySelector('.theme-menu-label');
+      if (label && labels && labels[itemMode]) {
+        label.textContent = labels[itemMode];
+      }
+    });
+  }
+
+  // Public API
+  return {
+    setup: setup,
+    update: update
+  };
+})();
@@ -6,52 +6,155 @@
 const I18n = (function() {
   'use strict';
 
-  const STORAGE_KEY = 'tikky_privacy_lang';
-  const THEME_STORAGE_KEY = 'tikky_privacy_theme';
-  const DEFAULT_LANG = 'es';
-  const SUPPORTED_LANGS = ['es', 'en', 'ar', 'zh'];
-  const THEMES = { LIGHT: 'light', DARK: 'dark' };
-
-  let currentLang = DEFAULT_LANG;
+  const THEMES = { LIGHT: 'light', DARK: 'dark', CONTRAST: 'contrast' };
+  // Theme modes offered in the theme menu; system follows the OS settings
+  const SYSTEM_THEME = 'system';
+  const THEME_MODES = [...Object.values(THEMES), SYSTEM_THEME];
+  const ANNOUNCE_DELAY = 100;
+
+  // Locale strings are escaped and sanitized by rich-text.js
+  const escapeHtml = RichText.escape;
+  const sanitizeHtml = RichText.sanitize;
+  const toPlainText = RichText.toText;
+
+  let currentLang = Locales.getDefaultLanguage();
   let currentTheme = THEMES.LIGHT;
+  let themeMode = SYSTEM_THEME;
   let translations = null;
   let tocObserver = null;
+  let settings = {
+    // Save ?lang= and ?theme= as the shared preferences instead of only
+    // using them for this visit
+    persistUrlPreferences: false
+  };
 
   // =========================================================================
   // Theme Functions
   // =========================================================================
 
   /**
-   * Gets the preferred theme from localStorage or system preference
+   * Gets the theme the system asks for: high contrast first, then the
+   * color scheme
    */
-  function getPreferredTheme() {
-    const stored = localStorage.getItem(THEME_STORAGE_KEY);
+  function getSystemTheme() {
+    if (!window.matchMedia) return THEMES.LIGHT;
+    if (window.matchMedia('(prefers-contrast: more)').matches) return THEMES.CONTRAST;
+    if (window.matchMedia('(prefers-color-scheme: dark)').matches) return THEMES.DARK;
+    return THEMES.LIGHT;
+  }
+
+  /**
+   * Gets the preferred theme mode
+   * Priority: URL param > shared preference > system
+   */
+  function getPreferredThemeMode() {
+    const urlTheme = new URLSearchParams(window.location.search).get('theme');
+    if (THEME_MODES.includes(urlTheme)) {
+      return urlTheme;
+    }
+
+    const stored = Preferences.get('theme');
     if (stored && Object.values(THEMES).includes(stored)) {
       return stored;
     }
 
-    if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
-      return THEMES.DARK;
-    }
+    return SYSTEM_THEME;
+  }
 
-    return THEMES.LIGHT;
+  /**
+   * Applies a theme mode to the document, resolving system to a theme
+   */
+  function applyTheme(mode) {
+    themeMode = mode;
+    currentTheme = mode === SYSTEM_THEME ? getSystemTheme() : mode;
+    document.documentElement.setAttribute('data-theme', currentTheme);
+    updateThemeMenu();
   }
 
   /**
-   * Applies the theme to the document
+   * Applies and saves a theme mode; system clears the saved choice
    */
-  function applyTheme(theme) {
-    currentTheme = theme;
-    document.documentElement.setAttribute('data-theme', theme);
-    localStorage.setItem(THEME_STORAGE_KEY, theme);
+  function setTheme(mode) {
+    if (!THEME_MODES.includes(mode)) return;
+    applyTheme(mode);
+    Preferences.set('theme', mode === SYSTEM_THEME ? null : mode);
+    updateUrl();
   }
 
   /**
    * Toggles between light and dark theme
    */
   function toggleTheme() {
-    const newTheme = currentTheme === THEMES.LIGHT ? THEMES.DARK : THEMES.LIGHT;
-    applyTheme(newTheme);
+    setTheme(currentTheme === THEMES.DARK ? THEMES.LIGHT : THEMES.DARK);
+  }
+
+  /**
+   * Shows the chosen mode on the theme menu, labelled in the current language
+   */
+  function updateThemeMenu() {
+    ThemeMenu.update(themeMode, translations?.meta?.theme);
+  }
+
+  // =========================================================================
+  // Accessibility Functions
+  // =========================================================================
+
+  /**
+   * Checks whether the user asked the system to minimize motion
+   */
+  function prefersReducedMotion() {
+    return !!window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  /**
+   * Reads a message out through the live region. The region is cleared
+   * first so repeating the same message is announced again.
+   */
+  function announce(message) {
+    let region = document.getElementById('sr-announcer');
+    if (!region) {
+      region = document.createElement('div');
+      region.id = 'sr-announcer';
+      region.className = 'sr-only';
+      region.setAttribute('role', 'status');
+      region.setAttribute('aria-live', 'polite');
+      document.body.appendChild(region);
+    }
+
+    region.textContent = '';
+    if (message) {
+      setTimeout(() => {
+        region.textContent = message;
+      }, ANNOUNCE_DELAY);
+    }
+  }
+
+  /**
+   * Moves focus to an element that is not focusable by default
+   */
+  function focusElement(element) {
+    if (!element) return;
+    if (!element.hasAttribute('tabindex')) {
+      element.setAttribute('tabindex', '-1');
+    }
+    element.focus({ preventScroll: true });
+  }
+
+  // =========================================================================
+  // Safe HTML Functions
+  // =========================================================================
+
+  /**
+   * Formats a locale string as ICU message syntax (see message-format.js),
+   * then sanitizes the result. Sanitizing first would put entities such as
+   * `&#39;` into plural branches, where `#` is the count. Dates are calendar
+   * days, so they format in UTC.
+   */
+  function formatHtml(message, values) {
+    return sanitizeHtml(MessageFormat.format(message, values, currentLang, {
+      escape: escapeHtml,
+      timeZone: 'UTC'
+    }));
   }
 
   // =========================================================================
@@ -72,13 +175,16 @@ const I18n = (function() {
     }
 
     const items = translations.sections.map(section => {
-      const title = section.title.length > 25
-        ? section.title.substring(0, 25) + '...'
-        : section.title;
-      const linkText = `${section.number}. ${title}`;
+      // Truncate plain text so markup in a title is never cut mid-tag
+      const plainTitle = toPlainText(section.title);
+      const title = plainTitle.length > 25
+        ? plainTitle.substring(0, 25) + '...'
+        : plainTitle;
+      const linkText = escapeHtml(`${toPlainText(section.number)}. ${title}`);
+      const id = escapeHtml(section.id);
       return `
         <li class="toc-item">
-          <a class="toc-link" href="#${section.id}" data-section="${section.id}" data-text="${linkText}">
+          <a class="toc-link" href="#${id}" data-section="${id}" data-text="${linkText}">
             ${linkText}
           </a>
         </li>
@@ -104,7 +210,10 @@ const I18n = (function() {
     const sectionId = e.currentTarget.dataset.section;
     const section = document.getElementById(sectionId);
     if (section) {
-      section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      section.scrollIntoView({ behavior: prefersReducedMotion() ? 'auto' : 'smooth', block: 'start' });
+      // Keep keyboard and screen reader users where they scrolled to
+      focusElement(section.querySelector('.section-title'));
+      updateActiveTocItem(sectionId);
     }
   }
 
@@ -210,7 +319,13 @@ const I18n = (function() {
    */
   function updateActiveTocItem(sectionId) {
     document.querySelectorAll('.toc-link').forEach(link => {
-      link.classList.toggle('active', link.dataset.section === sectionId);
+      const isActive = link.dataset.section === sectionId;
+      link.classList.toggle('active', isActive);
+      if (isActive) {
+        link.setAttribute('aria-current', 'location');
+      } else {
+        link.removeAttribute('aria-current');
+      }
     });
   }
 
@@ -225,6 +340,13 @@ const I18n = (function() {
    * @param {string} newDir - New direction ('ltr' or 'rtl')
    */
   function animateDirectionChange(oldDir, newDir) {
+    // Without motion the switch happens at once
+    if (prefersReducedMotion()) {
+      document.documentElement.dir = newDir;
+      renderPage(translations);
+      return;
+    }
+
     const toc = document.querySelector('.toc');
     const themeSwitcher = document.getElementById('theme-switcher');
     const exitClass = oldDir === 'ltr' ? 'exiting-ltr' : 'exiting-rtl';
@@ -267,64 +389,54 @@ const I18n = (function() {
 
   /**
    * Detects the preferred language from various sources
-   * Priority: localStorage > URL param > browser > default
+   * Priority: URL param > shared preference > browser preference list > default
    */
   function getPreferredLanguage() {
-    // Check localStorage first
-    const stored = localStorage.getItem(STORAGE_KEY);
-    if (stored && SUPPORTED_LANGS.includes(stored)) {
-      return stored;
-    }
-
-    // Check URL parameter
     const urlParams = new URLSearchParams(window.location.search);
-    const urlLang = urlParams.get('lang');
-    if (urlLang && SUPPORTED_LANGS.includes(urlLang)) {
-      return urlLang;
-    }
-
-    // Check browser language
-    const browserLang = navigator.language.split('-')[0];
-    if (SUPPORTED_LANGS.includes(browserLang)) {
-      return browserLang;
-    }
-
-    return DEFAULT_LANG;
+    const browserLangs = navigator.languages?.length
+      ? navigator.languages
+      : [navigator.language];
+
+    return Locales.negotiate([
+      urlParams.get('lang'),
+      Preferences.get('lang'),
+      ...browserLangs
+    ]);
   }
 
   /**
-   * Loads translations from JSON file
+   * Saves language preference for every Tikky page
    */
-  async function loadTranslations(lang) {
-    try {
-      const response = await fetch(`locales/${lang}.json`);
-      if (!response.ok) {
-        throw new Error(`Failed to load ${lang}.json`);
-      }
-      return await response.json();
-    } catch (error) {
-      console.error('Error loading translations:', error);
-      // Fallback to default language if different
-      if (lang !== DEFAULT_LANG) {
-        return loadTranslations(DEFAULT_LANG);
-      }
-      return null;
-    }
+  function saveLanguagePreference(lang) {
+    Preferences.set('lang', lang);
   }
 
   /**
-   * Saves language preference to localStorage
+   * Follows language and theme changes made in other tabs
    */
-  function saveLanguagePreference(lang) {
-    localStorage.setItem(STORAGE_KEY, lang);
+  function handlePreferenceChange(name, value) {
+    if (name === 'lang' && value) {
+      // Languages this page lacks leave it as it is
+      const lang = Locales.match(value);
+      if (lang) switchLanguage(lang);
+    } else if (name === 'theme') {
+      applyTheme(Object.values(THEMES).includes(value) ? value : SYSTEM_THEME);
+      updateUrl();
+    }
   }
 
   /**
-   * Updates URL without page reload
+   * Updates the URL's lang and theme without page reload, so a copied link
+   * opens the page as it looks now. Following the system needs no param.
    */
-  function updateUrl(lang) {
+  function updateUrl() {
     const url = new URL(window.location);
-    url.searchParams.set('lang', lang);
+    url.searchParams.set('lang', currentLang);
+    if (themeMode === SYSTEM_THEME) {
+      url.searchParams.delete('theme');
+    } else {
+      url.searchParams.set('theme', themeMode);
+    }
     window.history.replaceState({}, '', url);
   }
 
@@ -332,14 +444,14 @@ const I18n = (function() {
    * Renders a paragraph element
    */
   function renderParagraph(item) {
-    return `<p class="content-paragraph">${item.text}</p>`;
+    return `<p class="content-paragraph">${sanitizeHtml(item.text)}</p>`;
   }
 
   /**
    * Renders a list element
    */
   function renderList(item) {
-    const items = item.items.map(text => `<li>${text}</li>`).join('');
+    const items = item.items.map(text => `<li>${sanitizeHtml(text)}</li>`).join('');
     return `<ul class="content-list">${items}</ul>`;
   }
 
@@ -347,9 +459,9 @@ const I18n = (function() {
    * Renders a table element
    */
   function renderTable(item) {
-    const headers = item.headers.map(h => `<th>${h}</th>`).join('');
+    const headers = item.headers.map(h => `<th>${sanitizeHtml(h)}</th>`).join('');
     const rows = item.rows.map(row => {
-      const cells = row.map(cell => `<td>${cell}</td>`).join('');
+      const cells = row.map(cell => `<td>${sanitizeHtml(cell)}</td>`).join('');
       return `<tr>${cells}</tr>`;
     }).join('');
 
@@ -369,8 +481,8 @@ const I18n = (function() {
   function renderInfoBox(item) {
     return `
       <div class="info-box">
-        <div class="info-box-title">${item.title}</div>
-        <div class="info-box-text">${item.text}</div>
+        <div class="info-box-title">${sanitizeHtml(item.title)}</div>
+        <div class="info-box-text">${sanitizeHtml(item.text)}</div>
       </div>
     `;
   }
@@ -381,8 +493,8 @@ const I18n = (function() {
   function renderWarningBox(item) {
     return `
       <div class="warning-box">
-        <div class="warning-box-title">${item.title}</div>
-        <div class="warning-box-text">${item.text}</div>
+        <div class="warning-box-title">${sanitizeHtml(item.title)}</div>
+        <div class="warning-box-text">${sanitizeHtml(item.text)}</div>
       </div>
     `;
   }
@@ -399,9 +511,9 @@ const I18n = (function() {
     order.forEach(key => {
       if (data[key] && labels[key]) {
         const value = key === 'email'
-          ? `<a href="mailto:${data[key]}">${data[key]}</a>`
-          : data[key];
-        html += `<p class="contact-card-item"><span class="contact-card-label">${labels[key]}</span> ${value}</p>`;
+          ? `<a href="mailto:${escapeHtml(encodeURI(data[key]))}">${escapeHtml(data[key])}</a>`
+          : sanitizeHtml(data[key]);
+        html += `<p class="contact-card-item"><span class="contact-card-label">${sanitizeHtml(labels[key])}</span> ${value}</p>`;
       }
     });
 
@@ -442,8 +554,8 @@ const I18n = (function() {
     if (!subsections || !Array.isArray(subsections)) return '';
 
     return subsections.map(sub => `
-      <div class="subsection" id="${sub.id}">
-        <h3 class="subsection-title">${sub.number} ${sub.title}</h3>
+      <div class="subsection" id="${escapeHtml(sub.id)}">
+        <h3 class="subsection-title">${sanitizeHtml(sub.number)} ${sanitizeHtml(sub.title)}</h3>
         ${renderContent(sub.content)}
       </div>
     `).join('');
@@ -456,10 +568,10 @@ const I18n = (function() {
     if (!sections || !Array.isArray(sections)) return '';
 
     return sections.map(section => `
-      <section class="policy-section" id="${section.id}">
+      <section class="policy-section" id="${escapeHtml(section.id)}">
         <div class="section-header">
-          <span class="section-number">${section.number}</span>
-          <h2 class="section-title">${section.title}</h2>
+          <span class="section-number">${sanitizeHtml(section.number)}</span>
+          <h2 class="section-title">${sanitizeHtml(section.title)}</h2>
         </div>
         ${renderContent(section.content)}
         ${renderSubsections(section.subsections)}
@@ -474,11 +586,15 @@ const I18n = (function() {
     const container = document.getElementById('content-container');
     if (!container || !data) return;
 
+    // Focus inside the container is lost when its content is replaced
+    const hadFocus = container.contains(document.activeElement);
+    const dates = { date: data.meta.effectiveDate };
+
     const html = `
       <header class="policy-header">
-        <h1 class="policy-title">${data.meta.title}</h1>
-        <p class="policy-subtitle">${data.meta.subtitle}</p>
-        <p class="policy-date">${data.meta.lastUpdated}</p>
+        <h1 class="policy-title">${sanitizeHtml(data.meta.title)}</h1>
+        <p class="policy-subtitle">${sanitizeHtml(data.meta.subtitle)}</p>
+        <p class="policy-date">${formatHtml(data.meta.lastUpdated, dates)}</p>
       </header>
 
       <main class="policy-content">
@@ -486,45 +602,41 @@ const I18n = (function() {
       </main>
 
       <footer class="policy-footer">
-        <p class="footer-company">${data.footer.company}</p>
-        <p class="footer-effective">${data.footer.effective}</p>
+        <p class="footer-company">${sanitizeHtml(data.footer.company)}</p>
+        <p class="footer-effective">${formatHtml(data.footer.effective, dates)}</p>
       </footer>
     `;
 
     container.innerHTML = html;
 
+    if (hadFocus) {
+      focusElement(container.querySelector('.policy-title'));
+    }
+
     // Generate TOC after rendering content
     generateToc();
   }
 
-  /**
-   * Updates language switcher UI
-   */
-  function updateLanguageSwitcher(lang) {
-    document.querySelectorAll('.lang-btn').forEach(btn => {
-      const btnLang = btn.dataset.lang;
-      btn.classList.toggle('active', btnLang === lang);
-    });
-  }
-
   /**
    * Switches to a new language
    */
   async function switchLanguage(lang) {
-    if (!SUPPORTED_LANGS.includes(lang) || lang === currentLang) return;
+    if (!Locales.isSupported(lang) || lang === currentLang) return;
 
-    const data = await loadTranslations(lang);
+    const data = await Locales.loadTranslations(lang);
     if (data) {
       const oldDirection = document.documentElement.dir || 'ltr';
-      const newDirection = data.meta?.direction || 'ltr';
+      const newDirection = Locales.getDirection(lang);
       const directionChanged = oldDirection !== newDirection;
 
       currentLang = lang;
       translations = data;
       saveLanguagePreference(lang);
-      updateUrl(lang);
-      updateLanguageSwitcher(lang);
+      updateUrl();
+      Locales.updateSwitcher(lang, data.meta?.chooseLanguage);
+      updateThemeMenu();
       document.documentElement.lang = lang;
+      Locales.applyFonts(lang);
 
       // If direction changes: animate exit, change direction, animate enter
       if (directionChanged) {
@@ -533,51 +645,59 @@ const I18n = (function() {
         // No direction change: update immediately
         renderPage(data);
       }
+
+      announce(data.meta?.languageChanged);
     }
   }
 
   /**
    * Initializes the i18n module
+   * @param {Object} [options]
+   * @param {boolean} [options.persistUrlPreferences=false] - Save ?lang= and
+   *   ?theme= as the shared preferences
    */
-  async function init() {
+  async function init(options = {}) {
+    settings = { ...settings, ...options };
+    const urlParams = new URLSearchParams(window.location.search);
+
     // Initialize theme first (before content loads to prevent flash)
-    currentTheme = getPreferredTheme();
-    applyTheme(currentTheme);
+    applyTheme(getPreferredThemeMode());
+    if (settings.persistUrlPreferences && urlParams.get('theme') === themeMode) {
+      Preferences.set('theme', themeMode === SYSTEM_THEME ? null : themeMode);
+    }
 
     // Initialize language
+    await Locales.loadManifest();
+    Locales.renderSwitcher(switchLanguage);
     currentLang = getPreferredLanguage();
-    translations = await loadTranslations(currentLang);
+    if (settings.persistUrlPreferences && Locales.match(urlParams.get('lang'))) {
+      saveLanguagePreference(currentLang);
+    }
+    translations = await Locales.loadTranslations(currentLang);
 
     if (translations) {
-      updateLanguageSwitcher(currentLang);
+      Locales.updateSwitcher(currentLang, translations.meta?.chooseLanguage);
+      updateThemeMenu();
       renderPage(translations);
       document.documentElement.lang = currentLang;
-      const direction = translations.meta?.direction || 'ltr';
-      document.documentElement.dir = direction;
+      document.documentElement.dir = Locales.getDirection(currentLang);
+      Locales.applyFonts(currentLang);
     }
 
-    // Attach click handlers to language buttons
-    document.querySelectorAll('.lang-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const lang = btn.dataset.lang;
-        switchLanguage(lang);
-      });
-    });
+    ThemeMenu.setup(setTheme);
 
-    // Attach click handler to theme switcher
-    const themeSwitcher = document.getElementById('theme-switcher');
-    if (themeSwitcher) {
-      themeSwitcher.addEventListener('click', toggleTheme);
-    }
+    // Follow changes made on other Tikky pages
+    Preferences.subscribe(handlePreferenceChange);
 
     // Listen for system theme changes
     if (window.matchMedia) {
-      window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-        // Only auto-switch if user hasn't set a preference
-        const stored = localStorage.getItem(THEME_STORAGE_KEY);
-        if (!stored) {
-          applyTheme(e.matches ? THEMES.DARK : THEMES.LIGHT);
-        }
+      ['(prefers-color-scheme: dark)', '(prefers-contrast: more)'].forEach(query => {
+        window.matchMedia(query).addEventListener('change', () => {
+          // Only follow the system while no theme is chosen
+          if (themeMode === SYSTEM_THEME) {
+            applyTheme(SYSTEM_THEME);
+          }
+        });
       });
     }
   }
@@ -589,11 +709,20 @@ const I18n = (function() {
     getCurrentLang: () => currentLang,
     getTranslations: () => translations,
     toggleTheme,
-    getCurrentTheme: () => currentTheme
+    setTheme,
+    getCurrentTheme: () => currentTheme,
+    getThemeMode: () => themeMode
   };
 })();
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-  I18n.init();
-});
+// Initialize when DOM is ready, unless the page opts out with
+// <script src="js/i18n.js" data-auto-init="false"> and calls
+// I18n.init(options) itself
+(() => {
+  const script = document.currentScript;
+  if (script?.dataset.autoInit === 'false') return;
+
+  document.addEventListener('DOMContentLoaded', () => {
+    I18n.init();
+  });
+})();
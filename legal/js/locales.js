@@ -0,0 +1,305 @@
+/**
+ * Tikky - Locales
+ * Reads the page's locale manifest, matches requested languages against it
+ * and loads translations, and renders the language switcher.
+ */
+
+const Locales = (function() {
+  'use strict';
+
+  // ==========================================================================
+  // Constants
+  // ==========================================================================
+
+  // Used when the manifest cannot be loaded, so the page still renders
+  const FALLBACK_MANIFEST = {
+    defaultLanguage: 'es',
+    languages: [{ code: 'es', label: 'ES', name: 'Español', dir: 'ltr' }]
+  };
+  // More languages than this collapse the switcher into a dropdown
+  const MAX_LANG_BUTTONS = 5;
+
+  // ==========================================================================
+  // State
+  // ==========================================================================
+
+  let basePath = 'locales/';
+  let languages = FALLBACK_MANIFEST.languages;
+  let supportedLangs = ['es'];
+  let defaultLang = 'es';
+
+  // ==========================================================================
+  // Manifest
+  // ==========================================================================
+
+  async function fetchManifest() {
+    try {
+      const response = await fetch(basePath + 'manifest.json');
+      if (!response.ok) {
+        throw new Error('Failed to load manifest.json');
+      }
+      const manifest = await response.json();
+      if (!Array.isArray(manifest.languages) || !manifest.languages.length) {
+        throw new Error('manifest.json lists no languages');
+      }
+      return manifest;
+    } catch (error) {
+      console.error('Error loading locale manifest:', error);
+      return FALLBACK_MANIFEST;
+    }
+  }
+
+  function applyManifest(manifest) {
+    languages = manifest.languages.filter(function(language) {
+      return language && typeof language.code === 'string';
+    });
+    supportedLangs = languages.map(function(language) {
+      return language.code;
+    });
+    defaultLang = supportedLangs.indexOf(manifest.defaultLanguage) !== -1
+      ? manifest.defaultLanguage
+      : supportedLangs[0];
+  }
+
+  function getLanguageInfo(lang) {
+    return languages.find(function(language) {
+      return language.code === lang;
+    }) || { code: lang };
+  }
+
+  // ==========================================================================
+  // Matching
+  // ==========================================================================
+
+  /**
+   * Lists the codes to try for a BCP 47 tag, most specific first:
+   * zh-Hant-TW, zh-Hant, zh. A region without a script also tries the
+   * script it implies, so zh-TW reaches zh-Hant.
+   */
+  function getFallbackChain(tag) {
+    let locale = null;
+    try {
+      locale = new Intl.Locale(tag);
+    } catch (error) {
+      // Invalid tag, or no Intl.Locale; plain subtag truncation still works
+    }
+
+    const subtags = (locale ? locale.baseName : String(tag)).split(/[-_]/);
+    const chain = [];
+    while (subtags.length) {
+      chain.push(subtags.join('-'));
+      subtags.pop();
+    }
+
+    if (locale && locale.region && !locale.script && typeof locale.maximize === 'function') {
+      const script = locale.maximize().script;
+      if (script) {
+        chain.splice(chain.length - 1, 0, locale.language + '-' + script);
+      }
+    }
+
+    return chain;
+  }
+
+  function findSupportedLanguage(code) {
+    return supportedLangs.find(function(lang) {
+      return lang.toLowerCase() === code.toLowerCase();
+    }) || null;
+  }
+
+  // ==========================================================================
+  // Translations
+  // ==========================================================================
+
+  /**
+   * Merges locale data key by key. Arrays are taken whole from the override,
+   * since list items are translated as a unit.
+   */
+  function mergeTranslations(base, override) {
+    function isObject(value) {
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+    if (!isObject(base) || !isObject(override)) {
+      return override === undefined ? base : override;
+    }
+
+    const merged = Object.assign({}, base);
+    Object.keys(override).forEach(function(key) {
+      merged[key] = mergeTranslations(base[key], override[key]);
+    });
+    return merged;
+  }
+
+  async function fetchLocale(lang) {
+    try {
+      const response = await fetch(basePath + lang + '.json');
+      if (!response.ok) {
+        throw new Error('Failed to load ' + lang + '.json');
+      }
+      return await response.json();
+    } catch (error) {
+      console.error('Error loading translations:', error);
+      return null;
+    }
+  }
+
+  // ==========================================================================
+  // Public Functions
+  // ==========================================================================
+
+  /**
+   * Loads the manifest: the available languages with their native names,
+   * direction and fonts. Falls back to Spanish alone when it is missing.
+   * @param {string} [path] - Directory holding manifest.json and the locales
+   * @returns {Promise<void>}
+   */
+  async function loadManifest(path) {
+    basePath = path || 'locales/';
+    applyManifest(await fetchManifest());
+  }
+
+  function isSupported(lang) {
+    return supportedLangs.indexOf(lang) !== -1;
+  }
+
+  function getDefaultLanguage() {
+    return defaultLang;
+  }
+
+  /**
+   * Resolves a tag to a supported language through its fallback chain.
+   * @param {?string} tag
+   * @returns {?string}
+   */
+  function match(tag) {
+    return tag ? getFallbackChain(tag).map(findSupportedLanguage).find(Boolean) || null : null;
+  }
+
+  /**
+   * Picks the first requested tag that resolves to a supported language
+   * (RFC 4647 lookup), else the default language.
+   * @param {Array<?string>} requested
+   * @returns {string}
+   */
+  function negotiate(requested) {
+    for (let i = 0; i < requested.length; i++) {
+      const matched = match(requested[i]);
+      if (matched) return matched;
+    }
+    return defaultLang;
+  }
+
+  /**
+   * Loads translations for a language with its fallback chain and the
+   * default language merged underneath, so strings missing from a partial
+   * translation or a regional variant come from the nearest locale that
+   * has them.
+   * @param {string} lang
+   * @returns {Promise<?Object>} null when no file could be loaded
+   */
+  async function loadTranslations(lang) {
+    const codes = [defaultLang].concat(getFallbackChain(lang).reverse().map(findSupportedLanguage))
+      .filter(function(code, index, list) {
+        return code && list.indexOf(code) === index;
+      });
+
+    const files = (await Promise.all(codes.map(fetchLocale))).filter(Boolean);
+    return files.length ? files.reduce(mergeTranslations) : null;
+  }
+
+  function getDirection(lang) {
+    return getLanguageInfo(lang).dir === 'rtl' ? 'rtl' : 'ltr';
+  }
+
+  /**
+   * Puts the language's fonts ahead of the stylesheet's font stack.
+   * @param {string} lang
+   */
+  function applyFonts(lang) {
+    const root = document.documentElement;
+    root.style.removeProperty('--font-family');
+
+    const fonts = getLanguageInfo(lang).fonts;
+    if (!Array.isArray(fonts) || !fonts.length) return;
+
+    const baseFonts = getComputedStyle(root).getPropertyValue('--font-family').trim();
+    const families = fonts.map(function(font) {
+      return '"' + String(font).replace(/["\\]/g, '') + '"';
+    });
+    root.style.setProperty('--font-family', families.concat(baseFonts).filter(Boolean).join(', '));
+  }
+
+  /**
+   * Renders the .lang-switcher from the manifest: a button per language, or
+   * a dropdown once there are more than MAX_LANG_BUTTONS.
+   * @param {Function} onSelect - Called with the chosen language code
+   */
+  function renderSwitcher(onSelect) {
+    const switcher = document.querySelector('.lang-switcher');
+    if (!switcher) return;
+
+    const escape = RichText.escape;
+    const useDropdown = languages.length > MAX_LANG_BUTTONS;
+    switcher.classList.toggle('lang-switcher-dropdown', useDropdown);
+
+    if (useDropdown) {
+      switcher.innerHTML = '<select class="lang-select">' + languages.map(function(language) {
+        return '<option value="' + escape(language.code) + '" lang="' + escape(language.code) + '">' +
+          escape(language.name || language.code) + '</option>';
+      }).join('') + '</select>';
+      switcher.querySelector('.lang-select').addEventListener('change', function(e) {
+        onSelect(e.target.value);
+      });
+      return;
+    }
+
+    switcher.innerHTML = languages.map(function(language) {
+      return '<button type="button" class="lang-btn" data-lang="' + escape(language.code) + '" lang="' +
+        escape(language.code) + '" title="' + escape(language.name || language.code) + '">' +
+        escape(language.label || language.code.toUpperCase()) + '</button>';
+    }).join('');
+    switcher.querySelectorAll('.lang-btn').forEach(function(btn) {
+      btn.addEventListener('click', function() {
+        onSelect(btn.dataset.lang);
+      });
+    });
+  }
+
+  /**
+   * Marks the current language in the switcher.
+   * @param {string} lang
+   * @param {string} [label] - Accessible name, in the current language
+   */
+  function updateSwitcher(lang, label) {
+    const switcher = document.querySelector('.lang-switcher');
+    if (switcher && label) {
+      switcher.setAttribute('aria-label', label);
+    }
+
+    document.querySelectorAll('.lang-btn').forEach(function(btn) {
+      const btnLang = btn.dataset.lang;
+      btn.classList.toggle('active', btnLang === lang);
+      btn.setAttribute('aria-pressed', btnLang === lang ? 'true' : 'false');
+    });
+
+    const select = document.querySelector('.lang-select');
+    if (select) {
+      select.value = lang;
+      if (label) select.setAttribute('aria-label', label);
+    }
+  }
+
+  // Public API
+  return {
+    loadManifest: loadManifest,
+    isSupported: isSupported,
+    getDefaultLanguage: getDefaultLanguage,
+    match: match,
+    negotiate: negotiate,
+    loadTranslations: loadTranslations,
+    getDirection: getDirection,
+    applyFonts: applyFonts,
+    renderSwitcher: renderSwitcher,
+    updateSwitcher: updateSwitcher
+  };
+})();
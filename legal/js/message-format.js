@@ -0,0 +1,287 @@
+/**
+ * Tikky - Message Format
+ * ICU-style message formatting for locale strings.
+ *
+ * Supported arguments:
+ *   {name}                              value; numbers are locale formatted
+ *   {name, number[, integer|percent]}
+ *   {name, date[, short|medium|long|full]}
+ *   {name, time[, short|medium|long|full]}
+ *   {name, plural, [offset:n] =0 {...} one {...} other {...}}   # is the count
+ *   {name, selectordinal, one {#st} two {#nd} few {#rd} other {#th}}
+ *   {name, select, male {...} female {...} other {...}}
+ *
+ * Apostrophe quoting is not supported; locale strings use no literal braces.
+ */
+
+const MessageFormat = (function() {
+  'use strict';
+
+  // ==========================================================================
+  // Constants
+  // ==========================================================================
+
+  const NUMBER_STYLES = {
+    integer: { maximumFractionDigits: 0 },
+    percent: { style: 'percent' }
+  };
+
+  const DATE_STYLES = {
+    short: { dateStyle: 'short' },
+    medium: { dateStyle: 'medium' },
+    long: { dateStyle: 'long' },
+    full: { dateStyle: 'full' }
+  };
+
+  const TIME_STYLES = {
+    short: { timeStyle: 'short' },
+    medium: { timeStyle: 'medium' },
+    long: { timeStyle: 'long' },
+    full: { timeStyle: 'full' }
+  };
+
+  // Parsed messages, keyed by source text
+  const cache = new Map();
+
+  // ==========================================================================
+  // Parser
+  // ==========================================================================
+
+  /**
+   * Parses a message into a list of parts: strings, `{ type: 'pound' }` and
+   * argument nodes `{ type, name, style, options, offset }`.
+   */
+  function parse(message) {
+    let pos = 0;
+
+    function fail(reason) {
+      throw new SyntaxError(reason + ' at ' + pos + ' in "' + message + '"');
+    }
+
+    function skipSpace() {
+      while (pos < message.length && /\s/.test(message[pos])) pos++;
+    }
+
+    function readWord() {
+      skipSpace();
+      const match = /^[^\s,{}]+/.exec(message.slice(pos));
+      if (!match) fail('Expected a name');
+      pos += match[0].length;
+      skipSpace();
+      return match[0];
+    }
+
+    function parseParts(inPlural) {
+      const parts = [];
+      let text = '';
+
+      while (pos < message.length) {
+        const char = message[pos];
+        if (char === '}') break;
+
+        if (char === '{') {
+          if (text) parts.push(text);
+          text = '';
+          pos++;
+          parts.push(parseArgument());
+        } else if (char === '#' && inPlural) {
+          if (text) parts.push(text);
+          text = '';
+          pos++;
+          parts.push({ type: 'pound' });
+        } else {
+          text += char;
+          pos++;
+        }
+      }
+
+      if (text) parts.push(text);
+      return parts;
+    }
+
+    function parseOptions(inPlural) {
+      const options = {};
+      let offset = 0;
+
+      skipSpace();
+      while (pos < message.length && message[pos] !== '}') {
+        const key = readWord();
+        if (key.indexOf('offset:') === 0) {
+          offset = Number(key.slice(7)) || 0;
+          continue;
+        }
+        if (message[pos] !== '{') fail('Expected "{" after "' + key + '"');
+        pos++;
+        options[key] = parseParts(inPlural);
+        if (message[pos] !== '}') fail('Unclosed option "' + key + '"');
+        pos++;
+        skipSpace();
+      }
+
+      if (!options.other) fail('Missing "other" option');
+      return { options: options, offset: offset };
+    }
+
+    function parseArgument() {
+      const name = readWord();
+      let node = { type: 'simple', name: name };
+
+      if (message[pos] === ',') {
+        pos++;
+        const type = readWord();
+
+        if (type === 'plural' || type === 'selectordinal' || type === 'select') {
+          if (message[pos] !== ',') fail('Expected options for ' + type);
+          pos++;
+          const parsed = parseOptions(type !== 'select');
+          node = {
+            type: type,
+            name: name,
+            options: parsed.options,
+            offset: parsed.offset
+          };
+        } else {
+          let style = null;
+          if (message[pos] === ',') {
+            pos++;
+            style = readWord();
+          }
+          node = { type: type, name: name, style: style };
+        }
+      }
+
+      skipSpace();
+      if (message[pos] !== '}') fail('Unclosed argument "' + name + '"');
+      pos++;
+      return node;
+    }
+
+    const parts = parseParts(false);
+    if (pos < message.length) fail('Unexpected "}"');
+    return parts;
+  }
+
+  function getParts(message) {
+    if (!cache.has(message)) {
+      cache.set(message, parse(message));
+    }
+    return cache.get(message);
+  }
+
+  // ==========================================================================
+  // Formatting
+  // ==========================================================================
+
+  function formatNumber(value, locale, style) {
+    try {
+      return new Intl.NumberFormat(locale, NUMBER_STYLES[style]).format(value);
+    } catch (error) {
+      return String(value);
+    }
+  }
+
+  function toDate(value) {
+    return value instanceof Date ? value : new Date(value);
+  }
+
+  function formatDate(value, locale, styles, style, timeZone) {
+    const date = toDate(value);
+    if (isNaN(date.getTime())) return String(value);
+
+    const options = Object.assign({}, styles[style] || styles.medium);
+    if (timeZone) options.timeZone = timeZone;
+
+    try {
+      return new Intl.DateTimeFormat(locale, options).format(date);
+    } catch (error) {
+      return date.toISOString();
+    }
+  }
+
+  function selectPluralOption(node, value, locale) {
+    const exact = '=' + value;
+    if (node.options[exact]) return node.options[exact];
+
+    let category = 'other';
+    try {
+      category = new Intl.PluralRules(locale, {
+        type: node.type === 'selectordinal' ? 'ordinal' : 'cardinal'
+      }).select(value - node.offset);
+    } catch (error) {
+      // Without Intl.PluralRules only the exact matches and "other" apply
+    }
+    return node.options[category] || node.options.other;
+  }
+
+  function formatParts(parts, values, locale, settings, pluralValue) {
+    return parts.map(function(part) {
+      if (typeof part === 'string') return part;
+
+      if (part.type === 'pound') {
+        return settings.escape(formatNumber(pluralValue, locale));
+      }
+
+      if (!values || !Object.prototype.hasOwnProperty.call(values, part.name)) {
+        return '{' + part.name + '}';
+      }
+      const value = values[part.name];
+
+      switch (part.type) {
+        case 'plural':
+        case 'selectordinal': {
+          const count = Number(value);
+          const option = selectPluralOption(part, count, locale);
+          return formatParts(option, values, locale, settings, count - part.offset);
+        }
+        case 'select': {
+          const option = part.options[String(value)] || part.options.other;
+          return formatParts(option, values, locale, settings, pluralValue);
+        }
+        case 'number':
+          return settings.escape(formatNumber(Number(value), locale, part.style));
+        case 'date':
+          return settings.escape(formatDate(value, locale, DATE_STYLES, part.style, settings.timeZone));
+        case 'time':
+          return settings.escape(formatDate(value, locale, TIME_STYLES, part.style, settings.timeZone));
+        default:
+          return settings.escape(typeof value === 'number' ? formatNumber(value, locale) : value);
+      }
+    }).join('');
+  }
+
+  // ==========================================================================
+  // Public Functions
+  // ==========================================================================
+
+  /**
+   * Formats a message with named arguments.
+   * @param {string} message
+   * @param {Object} [values]
+   * @param {string} [locale]
+   * @param {Object} [options]
+   * @param {Function} [options.escape] - Applied to every argument's output,
+   *   e.g. HTML escaping; literal text is left untouched.
+   * @param {string} [options.timeZone] - For date and time arguments
+   * @returns {string} The message itself when it cannot be parsed.
+   */
+  function format(message, values, locale, options) {
+    const settings = Object.assign({
+      escape: function(value) {
+        return String(value);
+      },
+      timeZone: null
+    }, options);
+
+    try {
+      return formatParts(getParts(String(message)), values, locale, settings, 0);
+    } catch (error) {
+      console.error('Message format error:', error);
+      return String(message);
+    }
+  }
+
+  // Public API
+  return {
+    format: format
+  };
+})();
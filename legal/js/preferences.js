@@ -0,0 +1,188 @@
+/**
+ * Tikky - Preferences
+ * Language and theme preferences shared by every Tikky page, kept in sync
+ * across open tabs.
+ */
+
+const Preferences = (function() {
+  'use strict';
+
+  // ==========================================================================
+  // Constants
+  // ==========================================================================
+
+  const KEYS = {
+    lang: 'tikky_lang',
+    theme: 'tikky_theme'
+  };
+
+  // Per-page keys used before the store was shared; the first one found wins
+  const LEGACY_KEYS = {
+    lang: ['tikky_privacy_lang', 'tikky_reset_lang'],
+    theme: ['tikky_privacy_theme', 'tikky_reset_theme']
+  };
+
+  const CHANNEL_NAME = 'tikky-preferences';
+
+  // ==========================================================================
+  // State
+  // ==========================================================================
+
+  // Last value seen for each preference, so a change reported by both the
+  // storage event and the channel is only delivered once
+  const known = {};
+  const listeners = [];
+  let channel = null;
+
+  // ==========================================================================
+  // Storage
+  // ==========================================================================
+
+  function readStorage(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  function writeStorage(key, value) {
+    try {
+      if (value === null) {
+        localStorage.removeItem(key);
+      } else {
+        localStorage.setItem(key, value);
+      }
+    } catch (error) {
+      // Storage blocked (e.g. some private modes); the channel still syncs
+    }
+  }
+
+  /**
+   * Moves the language from the old per-page keys into the shared one and
+   * removes the old keys.
+   */
+  function migrate() {
+    const legacyLang = LEGACY_KEYS.lang
+      .map(readStorage)
+      .find(function(value) {
+        return !!value;
+      });
+
+    if (legacyLang && !readStorage(KEYS.lang)) {
+      writeStorage(KEYS.lang, legacyLang);
+    }
+
+    // The old pages saved the applied theme on every load, so their theme
+    // keys never meant the user chose one; copying them would stop the page
+    // following the system theme
+    Object.keys(LEGACY_KEYS).forEach(function(name) {
+      LEGACY_KEYS[name].forEach(function(key) {
+        writeStorage(key, null);
+      });
+    });
+  }
+
+  // ==========================================================================
+  // Sync
+  // ==========================================================================
+
+  function receive(name, value) {
+    if (!KEYS.hasOwnProperty(name) || known[name] === value) return;
+    known[name] = value;
+
+    listeners.slice().forEach(function(listener) {
+      try {
+        listener(name, value);
+      } catch (error) {
+        console.error('Preference listener failed:', error);
+      }
+    });
+  }
+
+  function handleStorage(event) {
+    try {
+      if (event.storageArea !== localStorage) return;
+    } catch (error) {
+      return;
+    }
+
+    Object.keys(KEYS).forEach(function(name) {
+      // A null key means the whole storage was cleared
+      if (event.key === null || event.key === KEYS[name]) {
+        receive(name, readStorage(KEYS[name]) || null);
+      }
+    });
+  }
+
+  function handleChannelMessage(event) {
+    const data = event.data || {};
+    receive(data.name, typeof data.value === 'string' ? data.value : null);
+  }
+
+  function startSync() {
+    window.addEventListener('storage', handleStorage);
+
+    if (typeof BroadcastChannel === 'function') {
+      channel = new BroadcastChannel(CHANNEL_NAME);
+      channel.addEventListener('message', handleChannelMessage);
+    }
+  }
+
+  // ==========================================================================
+  // Public Functions
+  // ==========================================================================
+
+  /**
+   * Reads a preference.
+   * @param {'lang'|'theme'} name
+   * @returns {string|null}
+   */
+  function get(name) {
+    const stored = readStorage(KEYS[name]);
+    return stored === undefined ? (known[name] || null) : stored;
+  }
+
+  /**
+   * Stores a preference and tells the other open tabs; null removes it.
+   * @param {'lang'|'theme'} name
+   * @param {string|null} value
+   */
+  function set(name, value) {
+    if (!KEYS.hasOwnProperty(name)) {
+      throw new Error('Unknown preference: ' + name);
+    }
+
+    known[name] = value;
+    writeStorage(KEYS[name], value);
+    if (channel) {
+      channel.postMessage({ name: name, value: value });
+    }
+  }
+
+  /**
+   * Calls listener(name, value) when another tab changes a preference.
+   * @param {Function} listener
+   * @returns {Function} Stops listening
+   */
+  function subscribe(listener) {
+    listeners.push(listener);
+    return function() {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    };
+  }
+
+  migrate();
+  Object.keys(KEYS).forEach(function(name) {
+    known[name] = get(name);
+  });
+  startSync();
+
+  // Public API
+  return {
+    get: get,
+    set: set,
+    subscribe: subscribe
+  };
+})();
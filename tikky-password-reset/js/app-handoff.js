@@ -0,0 +1,164 @@
+/**
+ * Tikky Password Reset - App Handoff
+ * Opens the Tikky app from the browser: universal/app links first, the store
+ * page when the app does not open, and a QR code for desktop browsers.
+ */
+
+const AppHandoff = (function() {
+  'use strict';
+
+  // ==========================================================================
+  // Constants
+  // ==========================================================================
+
+  const PLATFORMS = { IOS: 'ios', ANDROID: 'android', DESKTOP: 'desktop' };
+  const DEFAULT_TIMEOUT = 1500;
+  const QR_CELL_SIZE = 4;
+  const QR_MARGIN = 2;
+
+  // ==========================================================================
+  // Platform Detection
+  // ==========================================================================
+
+  function detectPlatform() {
+    const ua = navigator.userAgent || '';
+
+    if (/android/i.test(ua)) {
+      return PLATFORMS.ANDROID;
+    }
+
+    // iPadOS reports itself as a Mac; touch support gives it away
+    if (/iphone|ipad|ipod/i.test(ua) ||
+        (/macintosh/i.test(ua) && navigator.maxTouchPoints > 1)) {
+      return PLATFORMS.IOS;
+    }
+
+    return PLATFORMS.DESKTOP;
+  }
+
+  // ==========================================================================
+  // Link Building
+  // ==========================================================================
+
+  /**
+   * Appends query parameters to a link. Works for custom schemes such as
+   * `tikky://`, which URL() does not parse consistently across browsers.
+   */
+  function buildLink(base, params) {
+    const query = Object.keys(params || {}).filter(function(key) {
+      return params[key] !== null && params[key] !== undefined;
+    }).map(function(key) {
+      return encodeURIComponent(key) + '=' + encodeURIComponent(params[key]);
+    }).join('&');
+
+    if (!query) return base;
+    return base + (base.indexOf('?') === -1 ? '?' : '&') + query;
+  }
+
+  /**
+   * Builds an Android intent URL, which opens the app when installed and lets
+   * Chrome fall back to the store page itself when it is not.
+   */
+  function buildIntentLink(appUrl, androidPackage, fallbackUrl) {
+    const match = appUrl.match(/^([a-z][a-z0-9+.-]*):\/\/(.*)$/i);
+    if (!match || !androidPackage) return null;
+
+    let intent = 'intent://' + match[2] + '#Intent;scheme=' + match[1] +
+      ';package=' + androidPackage + ';';
+    if (fallbackUrl) {
+      intent += 'S.browser_fallback_url=' + encodeURIComponent(fallbackUrl) + ';';
+    }
+    return intent + 'end';
+  }
+
+  // ==========================================================================
+  // Handoff
+  // ==========================================================================
+
+  /**
+   * Tries to open the app and falls back to the store when the page is still
+   * visible after the timeout.
+   * @param {Object} options
+   * @param {string} options.appUrl - Custom scheme link, e.g. tikky://
+   * @param {string} [options.universalUrl] - Universal link / App Link
+   * @param {string} [options.iosStoreUrl]
+   * @param {string} [options.androidStoreUrl]
+   * @param {string} [options.androidPackage]
+   * @param {number} [options.timeout]
+   */
+  function open(options) {
+    const platform = detectPlatform();
+    const storeUrl = platform === PLATFORMS.IOS ? options.iosStoreUrl : options.androidStoreUrl;
+
+    if (platform === PLATFORMS.ANDROID) {
+      const intentUrl = buildIntentLink(options.appUrl, options.androidPackage, storeUrl);
+      if (intentUrl) {
+        window.location.href = intentUrl;
+        return;
+      }
+    }
+
+    const target = platform !== PLATFORMS.DESKTOP && options.universalUrl
+      ? options.universalUrl
+      : options.appUrl;
+
+    if (platform === PLATFORMS.DESKTOP || !storeUrl) {
+      window.location.href = target;
+      return;
+    }
+
+    let fallbackTimer = null;
+
+    function cancelFallback() {
+      if (document.hidden && fallbackTimer) {
+        clearTimeout(fallbackTimer);
+        fallbackTimer = null;
+      }
+    }
+
+    document.addEventListener('visibilitychange', cancelFallback);
+    window.addEventListener('pagehide', cancelFallback);
+
+    fallbackTimer = setTimeout(function() {
+      document.removeEventListener('visibilitychange', cancelFallback);
+      window.removeEventListener('pagehide', cancelFallback);
+      fallbackTimer = null;
+      if (!document.hidden) {
+        window.location.href = storeUrl;
+      }
+    }, options.timeout || DEFAULT_TIMEOUT);
+
+    window.location.href = target;
+  }
+
+  // ==========================================================================
+  // QR Code
+  // ==========================================================================
+
+  /**
+   * Renders text as an inline SVG QR code. Returns an empty string when the
+   * qrcode-generator library is not available.
+   */
+  function renderQrCode(text) {
+    if (typeof window.qrcode !== 'function') return '';
+
+    try {
+      const qr = window.qrcode(0, 'M');
+      qr.addData(text);
+      qr.make();
+      return qr.createSvgTag({ cellSize: QR_CELL_SIZE, margin: QR_MARGIN, scalable: true });
+    } catch (error) {
+      console.error('QR code generation failed:', error);
+      return '';
+    }
+  }
+
+  // Public API
+  return {
+    PLATFORMS: PLATFORMS,
+    detectPlatform: detectPlatform,
+    buildLink: buildLink,
+    open: open,
+    renderQrCode: renderQrCode
+  };
+})();
@@ -0,0 +1,94 @@
+/**
+ * Tikky Password Reset - Breached Password Check
+ * Looks passwords up against a breach corpus using k-anonymity range queries:
+ * only the first five characters of the SHA-1 hash are ever sent.
+ */
+
+const BreachCheck = (function() {
+  'use strict';
+
+  // ==========================================================================
+  // Constants
+  // ==========================================================================
+
+  const DEFAULT_RANGE_URL = 'https://api.pwnedpasswords.com/range/';
+  const PREFIX_LENGTH = 5;
+  const REQUEST_TIMEOUT = 5000;
+
+  // ==========================================================================
+  // Helpers
+  // ==========================================================================
+
+  async function sha1Hex(text) {
+    const bytes = new TextEncoder().encode(text);
+    const digest = await crypto.subtle.digest('SHA-1', bytes);
+    return Array.from(new Uint8Array(digest)).map(function(byte) {
+      return byte.toString(16).padStart(2, '0');
+    }).join('').toUpperCase();
+  }
+
+  async function fetchRange(rangeUrl, prefix) {
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timeout = controller ? setTimeout(function() {
+      controller.abort();
+    }, REQUEST_TIMEOUT) : null;
+
+    try {
+      const response = await fetch(rangeUrl + prefix, {
+        headers: { 'Add-Padding': 'true' },
+        signal: controller ? controller.signal : undefined
+      });
+      if (!response.ok) {
+        throw new Error('Range lookup failed with status ' + response.status);
+      }
+      return await response.text();
+    } finally {
+      if (timeout) clearTimeout(timeout);
+    }
+  }
+
+  function findCount(rangeBody, suffix) {
+    const lines = rangeBody.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      const parts = lines[i].trim().split(':');
+      if (parts[0].toUpperCase() === suffix) {
+        return parseInt(parts[1], 10) || 0;
+      }
+    }
+    return 0;
+  }
+
+  // ==========================================================================
+  // Public Functions
+  // ==========================================================================
+
+  /**
+   * Checks whether a password appears in the breach corpus.
+   * @param {string} password
+   * @param {string} [rangeUrl] - Range endpoint; the hash prefix is appended.
+   * @returns {Promise<?{ breached: boolean, count: number }>} null when the
+   *   lookup could not be completed.
+   */
+  async function check(password, rangeUrl) {
+    if (!password || !window.crypto || !crypto.subtle) return null;
+
+    try {
+      const hash = await sha1Hex(password);
+      const prefix = hash.slice(0, PREFIX_LENGTH);
+      const suffix = hash.slice(PREFIX_LENGTH);
+      const body = await fetchRange(rangeUrl || DEFAULT_RANGE_URL, prefix);
+      // Padding entries are reported with a count of 0
+      const count = findCount(body, suffix);
+      return { breached: count > 0, count: count };
+    } catch (error) {
+      console.error('Breached password check failed:', error);
+      return null;
+    }
+  }
+
+  // Public API
+  return {
+    check: check,
+    DEFAULT_RANGE_URL: DEFAULT_RANGE_URL
+  };
+})();
@@ -0,0 +1,230 @@
+/**
+ * Tikky Password Reset - Embed Bridge
+ * Lets a host (the native app's WebView or an embedding page) follow the
+ * reset flow and send commands back. Messages are versioned envelopes:
+ *   { channel: 'tikky-password-reset', version: 1, type, payload }
+ */
+
+const EmbedBridge = (function() {
+  'use strict';
+
+  // ==========================================================================
+  // Constants
+  // ==========================================================================
+
+  const CHANNEL = 'tikky-password-reset';
+  const VERSION = 1;
+  const EMBED_PARAM = 'embed';
+  const WEBKIT_HANDLER = 'tikky';
+  // Messages kept for a parent that is not (yet) allowed; the oldest go first
+  const MAX_PENDING_MESSAGES = 20;
+
+  // ==========================================================================
+  // State
+  // ==========================================================================
+
+  let started = false;
+  let commandHandlers = {};
+  let allowedOrigins = [];
+  // Messages for an iframe parent wait until its origin is known to be allowed
+  let pendingParentMessages = [];
+
+  // ==========================================================================
+  // Detection
+  // ==========================================================================
+
+  function isEmbedded() {
+    const value = new URLSearchParams(window.location.search).get(EMBED_PARAM);
+    return value === '1' || value === 'true';
+  }
+
+  function getNativeTransport() {
+    if (window.ReactNativeWebView && typeof window.ReactNativeWebView.postMessage === 'function') {
+      return function(message) {
+        window.ReactNativeWebView.postMessage(JSON.stringify(message));
+      };
+    }
+
+    const handlers = window.webkit && window.webkit.messageHandlers;
+    if (handlers && handlers[WEBKIT_HANDLER]) {
+      return function(message) {
+        handlers[WEBKIT_HANDLER].postMessage(message);
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Origin of the embedding page. ancestorOrigins is authoritative where it
+   * exists; the referrer is the best remaining signal elsewhere.
+   */
+  function getParentOrigin() {
+    if (window.parent === window) return null;
+
+    const ancestors = window.location.ancestorOrigins;
+    if (ancestors && ancestors.length) {
+      return ancestors[0];
+    }
+
+    try {
+      return document.referrer ? new URL(document.referrer).origin : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function isAllowedParent() {
+    const origin = getParentOrigin();
+    return !!origin && allowedOrigins.indexOf(origin) !== -1;
+  }
+
+  // ==========================================================================
+  // Outgoing Messages
+  // ==========================================================================
+
+  function createMessage(type, payload) {
+    return { channel: CHANNEL, version: VERSION, type: type, payload: payload || {} };
+  }
+
+  function deliver(message) {
+    const nativeTransport = getNativeTransport();
+    if (nativeTransport) {
+      try {
+        nativeTransport(message);
+      } catch (error) {
+        console.error('Embed bridge native post failed:', error);
+      }
+      return;
+    }
+
+    if (window.parent === window) return;
+
+    if (!isAllowedParent()) {
+      pendingParentMessages.push(message);
+      if (pendingParentMessages.length > MAX_PENDING_MESSAGES) {
+        pendingParentMessages.shift();
+      }
+      return;
+    }
+
+    window.parent.postMessage(message, getParentOrigin());
+  }
+
+  /**
+   * Sends an event to the host. Does nothing outside embed mode.
+   * @param {string} type
+   * @param {Object} [payload]
+   */
+  function send(type, payload) {
+    if (!started) return;
+    deliver(createMessage(type, payload));
+  }
+
+  // ==========================================================================
+  // Incoming Commands
+  // ==========================================================================
+
+  function parseMessage(data) {
+    if (typeof data === 'string') {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        return null;
+      }
+    }
+    if (!data || typeof data !== 'object' || data.channel !== CHANNEL) {
+      return null;
+    }
+    return data;
+  }
+
+  /**
+   * Native hosts inject their messages into the page itself, so they arrive
+   * with the page's own origin; iframe hosts must be on the allowlist.
+   */
+  function isTrustedSource(event) {
+    if (event.source === window.parent && window.parent !== window) {
+      return allowedOrigins.indexOf(event.origin) !== -1;
+    }
+    return !!getNativeTransport() &&
+      (event.origin === window.location.origin || event.origin === '');
+  }
+
+  function handleMessage(event) {
+    const message = parseMessage(event.data);
+    if (!message || !isTrustedSource(event)) return;
+
+    if (message.version !== VERSION) {
+      send('commandRejected', { type: message.type, reason: 'unsupportedVersion', version: VERSION });
+      return;
+    }
+
+    const handler = commandHandlers[message.type];
+    if (!handler) {
+      send('commandRejected', { type: message.type, reason: 'unknownCommand' });
+      return;
+    }
+
+    try {
+      handler(message.payload || {});
+    } catch (error) {
+      console.error('Embed bridge command failed:', error);
+      send('commandRejected', { type: message.type, reason: 'failed' });
+    }
+  }
+
+  // ==========================================================================
+  // Public Functions
+  // ==========================================================================
+
+  /**
+   * Starts listening for host commands and enables send(). Calling it again
+   * replaces the commands and the allowlist.
+   * @param {Object} options
+   * @param {Object<string, Function>} options.commands - Handlers by command type
+   * @param {string[]} [options.allowedOrigins] - Origins allowed to embed the page in an iframe
+   */
+  function start(options) {
+    commandHandlers = options.commands || {};
+    allowedOrigins = [];
+    allowOrigins(options.allowedOrigins);
+
+    if (!started) {
+      started = true;
+      window.addEventListener('message', handleMessage);
+      // react-native-webview dispatches on document on Android
+      document.addEventListener('message', handleMessage);
+    }
+
+    send('ready', { commands: Object.keys(commandHandlers) });
+  }
+
+  /**
+   * Adds origins to the iframe allowlist and flushes messages that were
+   * waiting for the parent to be recognised.
+   * @param {string[]} [origins]
+   */
+  function allowOrigins(origins) {
+    (origins || []).forEach(function(origin) {
+      if (typeof origin === 'string' && allowedOrigins.indexOf(origin) === -1) {
+        allowedOrigins.push(origin);
+      }
+    });
+
+    if (pendingParentMessages.length && isAllowedParent()) {
+      const queued = pendingParentMessages;
+      pendingParentMessages = [];
+      queued.forEach(deliver);
+    }
+  }
+
+  // Public API
+  return {
+    VERSION: VERSION,
+    isEmbedded: isEmbedded,
+    start: start,
+    allowOrigins: allowOrigins,
+    send: send
+  };
+})();
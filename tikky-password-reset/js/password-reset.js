@@ -1,6 +1,7 @@
 /**
  * Tikky Password Reset - Main Script
- * Handles password reset flow with Supabase integration
+ * Handles Supabase email auth actions (password recovery, invites, signup and
+ * email change confirmation, magic links) with Supabase integration
  */
 
 const PasswordReset = (function() {
@@ -10,61 +11,314 @@ const PasswordReset = (function() {
   // Constants
   // ==========================================================================
 
-  const STORAGE_KEY = 'tikky_reset_lang';
-  const THEME_STORAGE_KEY = 'tikky_reset_theme';
   const RETRY_STORAGE_KEY = 'tikky_retry_ts';
   const RETRY_COOLDOWN = 3000;
-  const DEFAULT_LANG = 'es';
-  const SUPPORTED_LANGS = ['es', 'en', 'ar', 'zh'];
-  const THEMES = { LIGHT: 'light', DARK: 'dark' };
+  const RESEND_STORAGE_KEY = 'tikky_resend_ts';
+  const RESEND_COOLDOWN = 60000;
+  const LINK_USED_STORAGE_KEY = 'tikky_link_used';
+  const SESSION_WARNING_THRESHOLD = 60000;
+  const SESSION_TIMER_INTERVAL = 1000;
+  const DEBUG_STORAGE_KEY = 'tikky_reset_debug';
+  const ANNOUNCE_DELAY = 100;
+  const PRESERVED_URL_PARAMS = ['lang', 'theme', 'embed'];
+  const THEMES = { LIGHT: 'light', DARK: 'dark', CONTRAST: 'contrast' };
+  // Theme modes offered in the theme menu; system follows the OS settings
+  const SYSTEM_THEME = 'system';
+  const THEME_MODES = Object.values(THEMES).concat(SYSTEM_THEME);
   const CONFIG_URL = 'https://europe-west1-tikky-nekki.cloudfunctions.net/getSupabaseWebConfig';
+  const CONFIG_CACHE_KEY = 'tikky_web_config';
+  const CONFIG_CACHE_TTL = 5 * 60 * 1000;
+  const CONFIG_TIMEOUT = 8000;
+  const CONFIG_MAX_ATTEMPTS = 3;
+  const CONFIG_RETRY_DELAY = 500;
   const DEEP_LINK = 'tikky://';
 
+  // Options accepted by init(); the defaults reproduce the standalone page
+  const DEFAULT_OPTIONS = {
+    // Supabase client to use as-is, or a factory called as (url, anonKey, options)
+    supabaseClient: null,
+    createClient: null,
+    // Web config: fetched from configUrl unless given inline; with an
+    // injected supabaseClient it is never fetched
+    configUrl: CONFIG_URL,
+    config: null,
+    // Element the flow renders into; defaults to #content-container
+    container: null,
+    localeBasePath: 'locales/',
+    // Origins allowed to host the page in an iframe in embed mode (?embed=1)
+    embedOrigins: [],
+    // Lifecycle callbacks
+    onStateChange: null,
+    onSuccess: null,
+    onError: null,
+    // Save ?lang= and ?theme= as the shared preferences instead of only
+    // using them for this visit
+    persistUrlPreferences: false,
+    // Log state transitions to the console; also enabled by setting
+    // localStorage.tikky_reset_debug to '1'
+    debug: false
+  };
+
+  // Store and universal link details come from getSupabaseWebConfig `appLinks`
+  const DEFAULT_APP_LINKS = {
+    universalLink: null,
+    iosStoreUrl: null,
+    androidStoreUrl: null,
+    androidPackage: null
+  };
+  const MIN_STRENGTH_SCORE = 3;
+
+  // Used when getSupabaseWebConfig returns no `passwordPolicy`: the rules the
+  // page enforced before policies came from the server
+  const DEFAULT_PASSWORD_POLICY = {
+    minLength: 8,
+    maxLength: null,
+    requiredClasses: ['lowercase', 'uppercase', 'digits']
+  };
+
+  // Character classes a policy can require, matching Supabase's options.
+  // `label` is the key under `states.form.requirements`, `rule` the
+  // `passwordrules` class and `chars` the alphabet for suggested passwords.
+  const CHARACTER_CLASSES = {
+    lowercase: {
+      label: 'hasLowercase',
+      rule: 'lower',
+      pattern: /[a-z]/,
+      chars: 'abcdefghijkmnopqrstuvwxyz'
+    },
+    uppercase: {
+      label: 'hasUppercase',
+      rule: 'upper',
+      pattern: /[A-Z]/,
+      chars: 'ABCDEFGHJKLMNPQRSTUVWXYZ'
+    },
+    digits: {
+      label: 'hasNumber',
+      rule: 'digit',
+      pattern: /[0-9]/,
+      chars: '23456789'
+    },
+    symbols: {
+      label: 'hasSymbol',
+      rule: 'special',
+      pattern: /[!@#$%^&*()_+\-=\[\]{};'\\:"|<>?,.\/`~]/,
+      chars: '!@#$%^&*-_=+?'
+    }
+  };
+  const SUGGESTED_PASSWORD_LENGTH = 20;
+  const SUGGEST_MAX_ATTEMPTS = 5;
+
   // States
   const STATE = {
     LOADING: 'loading',
+    CHALLENGE: 'challenge',
     FORM: 'form',
     SUCCESS: 'success',
-    ERROR: 'error'
+    ERROR: 'error',
+    LINK_SENT: 'linkSent',
+    OFFLINE: 'offline'
+  };
+
+  // Allowed transitions, by current state. `push` adds a history entry, so the
+  // back button undoes the transition instead of leaving the page: from the
+  // link sent confirmation back to the resend form, or from a failed update
+  // back to the form while the session lasts. Errors raised after the link
+  // was verified go back into the flow with the same session.
+  const TRANSITIONS = {
+    loading: {
+      challenge: {},
+      form: {},
+      success: {},
+      error: {},
+      offline: {}
+    },
+    challenge: {
+      form: {},
+      error: {}
+    },
+    form: {
+      success: {},
+      error: { push: true }
+    },
+    error: {
+      challenge: {},
+      form: {},
+      linkSent: { push: true }
+    },
+    linkSent: {
+      linkSent: {}
+    },
+    offline: {
+      loading: {}
+    },
+    success: {}
+  };
+
+  // Supabase auth error codes mapped to the locale keys under `states.error`
+  const AUTH_ERROR_CODES = {
+    otp_expired: 'tokenExpired',
+    flow_state_expired: 'tokenExpired',
+    flow_state_not_found: 'invalidLink',
+    bad_code_verifier: 'invalidLink',
+    same_password: 'samePassword',
+    weak_password: 'weakPassword',
+    session_not_found: 'sessionExpired',
+    session_expired: 'sessionExpired',
+    refresh_token_not_found: 'sessionExpired',
+    bad_jwt: 'sessionExpired',
+    over_request_rate_limit: 'rateLimited',
+    over_email_send_rate_limit: 'rateLimited',
+    otp_disabled: 'otpDisabled',
+    email_provider_disabled: 'otpDisabled',
+    signup_disabled: 'otpDisabled',
+    user_banned: 'userBanned',
+    user_not_found: 'userNotFound',
+    mfa_verification_failed: 'mfaInvalidCode',
+    mfa_verification_rejected: 'mfaInvalidCode',
+    mfa_challenge_expired: 'mfaCodeExpired',
+    request_timeout: 'networkError',
+    unexpected_failure: 'serverError'
+  };
+
+  // How each error is surfaced. `inline` errors keep the user on the form;
+  // `action` is the recovery offered on the error screen: 'resend' a new
+  // link, 'retry' the same link (or the step that failed once it was
+  // verified), or nothing when neither can help.
+  const ERROR_BEHAVIOR = {
+    invalidLink: { action: 'resend' },
+    linkUsed: { action: 'resend' },
+    tokenExpired: { action: 'resend' },
+    sessionExpired: { action: 'resend' },
+    verificationFailed: { action: 'retry' },
+    updateFailed: { action: 'retry' },
+    serverError: { action: 'retry' },
+    networkError: { action: 'retry', inline: true },
+    rateLimited: { action: 'retry', inline: true },
+    samePassword: { inline: true },
+    weakPassword: { inline: true },
+    mfaInvalidCode: { inline: true },
+    mfaCodeExpired: { inline: true },
+    otpDisabled: {},
+    userBanned: {},
+    userNotFound: {}
+  };
+
+  // Supabase email link types this page can handle. `next` is the state shown
+  // once the link is verified and `appPath`/`appParams` build the link back
+  // into the app. `verifyInApp` links are not checked here but passed on to
+  // the app, which signs in with them; verifying one in the browser would use
+  // it up and leave the session in the page. Text overrides live under
+  // `actions.<type>` in the locale files, with `states` holding the recovery
+  // (default) wording.
+  const AUTH_ACTIONS = {
+    recovery: {
+      otpType: 'recovery',
+      next: STATE.FORM,
+      appPath: '',
+      appParams: { reset: 'success' },
+      offerSignOutOthers: true
+    },
+    invite: { otpType: 'invite', next: STATE.FORM, appPath: '' },
+    signup: { otpType: 'signup', next: STATE.SUCCESS, appPath: 'auth/confirmed' },
+    magiclink: { otpType: 'magiclink', next: STATE.SUCCESS, appPath: 'auth/signed-in', verifyInApp: true },
+    email_change: { otpType: 'email_change', next: STATE.SUCCESS, appPath: 'settings/account' }
   };
 
   // ==========================================================================
   // State
   // ==========================================================================
 
-  let currentLang = DEFAULT_LANG;
+  let currentLang = Locales.getDefaultLanguage();
   let currentTheme = THEMES.LIGHT;
+  let themeMode = SYSTEM_THEME;
   let currentState = STATE.LOADING;
   let translations = null;
   let supabase = null;
   let errorType = null;
+  let currentAction = null;
+  let verifiedSession = null;
+  let sessionExpiresAt = null;
+  let sessionTimer = null;
+  let sessionTimerUpdate = null;
+  let resendEmail = null;
+  let linkVerified = false;
+  // Link credentials handed to the app for `verifyInApp` actions
+  let appAuthParams = null;
+  let otherSessionsRevoked = null;
+  let mfaFactorId = null;
+  let appLinks = DEFAULT_APP_LINKS;
+  let offlineReason = null;
+  let options = DEFAULT_OPTIONS;
+  let renderedState = null;
+  let userEmail = null;
+  let minStrengthScore = MIN_STRENGTH_SCORE;
+  let passwordPolicy = DEFAULT_PASSWORD_POLICY;
+  let breachRangeUrl = BreachCheck.DEFAULT_RANGE_URL;
+  let breachedPassword = null;
+  // init() runs one at a time; page-wide listeners are added by the first
+  let initQueue = Promise.resolve();
+  let listenersAttached = false;
 
   // ==========================================================================
   // Theme Functions
   // ==========================================================================
 
-  function getPreferredTheme() {
-    const stored = localStorage.getItem(THEME_STORAGE_KEY);
-    if (stored && Object.values(THEMES).includes(stored)) {
-      return stored;
+  /**
+   * The theme the system asks for: high contrast first, then the color scheme.
+   */
+  function getSystemTheme() {
+    if (!window.matchMedia) return THEMES.LIGHT;
+    if (window.matchMedia('(prefers-contrast: more)').matches) return THEMES.CONTRAST;
+    if (window.matchMedia('(prefers-color-scheme: dark)').matches) return THEMES.DARK;
+    return THEMES.LIGHT;
+  }
+
+  /**
+   * Priority: URL param > shared preference > system.
+   */
+  function getPreferredThemeMode() {
+    const urlTheme = new URLSearchParams(window.location.search).get('theme');
+    if (THEME_MODES.includes(urlTheme)) {
+      return urlTheme;
     }
 
-    if (window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches) {
-      return THEMES.DARK;
+    const stored = Preferences.get('theme');
+    if (stored && Object.values(THEMES).includes(stored)) {
+      return stored;
     }
 
-    return THEMES.LIGHT;
+    return SYSTEM_THEME;
   }
 
-  function applyTheme(theme) {
-    currentTheme = theme;
-    document.documentElement.setAttribute('data-theme', theme);
-    localStorage.setItem(THEME_STORAGE_KEY, theme);
+  function applyTheme(mode) {
+    themeMode = mode;
+    currentTheme = mode === SYSTEM_THEME ? getSystemTheme() : mode;
+    document.documentElement.setAttribute('data-theme', currentTheme);
+    updateThemeMenu();
   }
 
   function toggleTheme() {
-    const newTheme = currentTheme === THEMES.LIGHT ? THEMES.DARK : THEMES.LIGHT;
-    applyTheme(newTheme);
+    setTheme(currentTheme === THEMES.DARK ? THEMES.LIGHT : THEMES.DARK);
+  }
+
+  /**
+   * Applies and saves a theme mode; system clears the saved choice.
+   */
+  function setTheme(mode) {
+    if (!THEME_MODES.includes(mode)) {
+      throw new Error('Unsupported theme: ' + mode);
+    }
+    applyTheme(mode);
+    Preferences.set('theme', mode === SYSTEM_THEME ? null : mode);
+    updateUrlPreferences();
+  }
+
+  /**
+   * Shows the chosen mode on the theme menu, labelled in the current
+   * language.
+   */
+  function updateThemeMenu() {
+    ThemeMenu.update(themeMode, translations && translations.meta.theme);
   }
 
   // ==========================================================================
@@ -72,95 +326,218 @@ const PasswordReset = (function() {
   // ==========================================================================
 
   function getPreferredLanguage() {
-    const stored = localStorage.getItem(STORAGE_KEY);
-    if (stored && SUPPORTED_LANGS.includes(stored)) {
-      return stored;
-    }
-
     const urlParams = new URLSearchParams(window.location.search);
-    const urlLang = urlParams.get('lang');
-    if (urlLang && SUPPORTED_LANGS.includes(urlLang)) {
-      return urlLang;
-    }
-
-    const browserLang = navigator.language.split('-')[0];
-    if (SUPPORTED_LANGS.includes(browserLang)) {
-      return browserLang;
-    }
-
-    return DEFAULT_LANG;
+    const browserLangs = navigator.languages && navigator.languages.length
+      ? Array.from(navigator.languages)
+      : [navigator.language];
+
+    // Priority: URL param > shared preference > browser preference list
+    return Locales.negotiate([
+      urlParams.get('lang'),
+      Preferences.get('lang')
+    ].concat(browserLangs));
   }
 
-  async function loadTranslations(lang) {
-    try {
-      const response = await fetch('locales/' + lang + '.json');
-      if (!response.ok) {
-        throw new Error('Failed to load ' + lang + '.json');
-      }
-      return await response.json();
-    } catch (error) {
-      console.error('Error loading translations:', error);
-      if (lang !== DEFAULT_LANG) {
-        return loadTranslations(DEFAULT_LANG);
-      }
-      return null;
-    }
+  function saveLanguagePreference(lang) {
+    Preferences.set('lang', lang);
   }
 
-  function saveLanguagePreference(lang) {
-    localStorage.setItem(STORAGE_KEY, lang);
+  /**
+   * Follows language and theme changes made in other Tikky tabs.
+   */
+  function handlePreferenceChange(name, value) {
+    if (name === 'lang' && value) {
+      // Languages this page lacks leave it as it is
+      const lang = Locales.match(value);
+      if (lang) switchLanguage(lang);
+    } else if (name === 'theme') {
+      applyTheme(Object.values(THEMES).includes(value) ? value : SYSTEM_THEME);
+      updateUrlPreferences();
+    }
   }
 
-  function updateLanguageSwitcher(lang) {
-    document.querySelectorAll('.lang-btn').forEach(function(btn) {
-      const btnLang = btn.dataset.lang;
-      btn.classList.toggle('active', btnLang === lang);
-    });
+  /**
+   * Keeps lang and theme in the URL, so a reload or a copied link shows the
+   * page as it looks now.
+   */
+  function updateUrlPreferences() {
+    const url = new URL(window.location.href);
+    url.searchParams.set('lang', currentLang);
+    if (themeMode === SYSTEM_THEME) {
+      url.searchParams.delete('theme');
+    } else {
+      url.searchParams.set('theme', themeMode);
+    }
+    window.history.replaceState(window.history.state, '', url);
   }
 
   async function switchLanguage(lang) {
-    if (!SUPPORTED_LANGS.includes(lang) || lang === currentLang) return;
+    if (!Locales.isSupported(lang) || lang === currentLang) return;
 
-    const data = await loadTranslations(lang);
+    const data = await Locales.loadTranslations(lang);
     if (data) {
       currentLang = lang;
       translations = data;
       saveLanguagePreference(lang);
-      updateLanguageSwitcher(lang);
+      updateUrlPreferences();
+      Locales.updateSwitcher(lang, data.meta.chooseLanguage);
+      updateThemeMenu();
       document.documentElement.lang = lang;
-
-      const direction = data.meta.direction || 'ltr';
-      document.documentElement.dir = direction;
+      document.documentElement.dir = Locales.getDirection(lang);
+      Locales.applyFonts(lang);
 
       renderCurrentState();
+      announce(data.meta.languageChanged);
     }
   }
 
+  // ==========================================================================
+  // Error Classification
+  // ==========================================================================
+
+  /**
+   * Maps a Supabase auth error (or a thrown exception) to a locale error key,
+   * using the error code first and the HTTP status as a fallback.
+   */
+  function classifyAuthError(error, fallback) {
+    if (!error) return fallback;
+
+    if (error.code && AUTH_ERROR_CODES.hasOwnProperty(error.code)) {
+      return AUTH_ERROR_CODES[error.code];
+    }
+
+    if (error.status === 429) {
+      return 'rateLimited';
+    }
+
+    if (error.name === 'AuthRetryableFetchError' || error instanceof TypeError ||
+        error.status === 0 || navigator.onLine === false) {
+      return 'networkError';
+    }
+
+    if (error.status >= 500) {
+      return 'serverError';
+    }
+
+    // Older GoTrue versions send no code, only a message
+    if (error.message && /expired/i.test(error.message)) {
+      return 'tokenExpired';
+    }
+
+    return fallback;
+  }
+
+  function getErrorBehavior(key) {
+    return ERROR_BEHAVIOR[key] || { action: 'retry' };
+  }
+
   // ==========================================================================
   // Supabase Functions
   // ==========================================================================
 
-  async function fetchSupabaseConfig() {
+  function readCachedConfig() {
     try {
-      const response = await fetch(CONFIG_URL);
-      if (!response.ok) {
-        throw new Error('Failed to fetch config');
+      const cached = JSON.parse(sessionStorage.getItem(CONFIG_CACHE_KEY));
+      if (cached && cached.config && Date.now() - cached.savedAt < CONFIG_CACHE_TTL) {
+        return cached.config;
       }
-      return await response.json();
     } catch (error) {
-      console.error('Error fetching Supabase config:', error);
-      return null;
+      // Corrupt cache entries are simply refetched
+    }
+    sessionStorage.removeItem(CONFIG_CACHE_KEY);
+    return null;
+  }
+
+  function cacheConfig(config) {
+    sessionStorage.setItem(CONFIG_CACHE_KEY, JSON.stringify({
+      savedAt: Date.now(),
+      config: config
+    }));
+  }
+
+  function delay(ms) {
+    return new Promise(function(resolve) {
+      setTimeout(resolve, ms);
+    });
+  }
+
+  async function fetchWithTimeout(url, timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(function() {
+      controller.abort();
+    }, timeout);
+
+    try {
+      return await fetch(url, { signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
     }
   }
 
+  /**
+   * Fetches the web config with a timeout per attempt and exponential backoff
+   * between attempts. Client errors other than 408/429 are not retried.
+   */
+  async function fetchSupabaseConfig() {
+    if (options.config) return options.config;
+
+    const cached = readCachedConfig();
+    if (cached) return cached;
+
+    for (let attempt = 0; attempt < CONFIG_MAX_ATTEMPTS; attempt++) {
+      if (attempt > 0) {
+        await delay(CONFIG_RETRY_DELAY * Math.pow(2, attempt - 1));
+      }
+
+      try {
+        const response = await fetchWithTimeout(options.configUrl, CONFIG_TIMEOUT);
+        if (!response.ok) {
+          const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+          console.error('Error fetching Supabase config: status ' + response.status);
+          if (!retryable) return null;
+          continue;
+        }
+
+        const config = await response.json();
+        if (config && config.url && config.anonKey) {
+          cacheConfig(config);
+        }
+        return config;
+      } catch (error) {
+        console.error('Error fetching Supabase config:', error);
+      }
+    }
+
+    return null;
+  }
+
   async function initSupabase() {
+    if (supabase) return true;
+
+    // An injected client needs no connection details; its page settings
+    // come from an inline `config` or else the defaults, never the network
+    if (options.supabaseClient) {
+      applyConfig(options.config || {});
+      supabase = options.supabaseClient;
+      return true;
+    }
+
     const config = await fetchSupabaseConfig();
+
     if (!config || !config.url || !config.anonKey) {
       return false;
     }
 
+    applyConfig(config);
+
     try {
-      supabase = window.supabase.createClient(config.url, config.anonKey);
+      const createClient = options.createClient || window.supabase.createClient;
+      // Links are consumed explicitly in verifyToken(), not by the client.
+      // The recovery session is not refreshed, so its expiry is what the
+      // form counts down to.
+      supabase = createClient(config.url, config.anonKey, {
+        auth: { detectSessionInUrl: false, autoRefreshToken: false }
+      });
       return true;
     } catch (error) {
       console.error('Error initializing Supabase:', error);
@@ -168,40 +545,189 @@ const PasswordReset = (function() {
     }
   }
 
+  function applyConfig(config) {
+    if (typeof config.minPasswordScore === 'number') {
+      minStrengthScore = Math.max(0, Math.min(PasswordStrength.MAX_SCORE, config.minPasswordScore));
+    }
+
+    // The CSP in index.html only lets the page reach api.pwnedpasswords.com
+    // and a local stand-in; a range endpoint on any other origin must be
+    // added to its connect-src, or every lookup is blocked and skipped
+    if (config.breachRangeUrl) {
+      breachRangeUrl = config.breachRangeUrl;
+    }
+
+    passwordPolicy = normalizePasswordPolicy(config.passwordPolicy);
+    appLinks = Object.assign({}, DEFAULT_APP_LINKS, config.appLinks);
+    EmbedBridge.allowOrigins(config.embedOrigins);
+  }
+
+  /**
+   * Reads the auth parameters of the three link shapes Supabase can send:
+   * `?token_hash=&type=` (custom templates), `?code=` (PKCE) and
+   * `#access_token=&refresh_token=&type=` (implicit flow). Errors may be
+   * appended to either the query or the fragment.
+   */
+  function readAuthParams() {
+    const query = new URLSearchParams(window.location.search);
+    const fragment = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+
+    function get(name) {
+      return query.get(name) || fragment.get(name);
+    }
+
+    const code = query.get('code');
+    return {
+      tokenHash: query.get('token_hash'),
+      code: code,
+      accessToken: fragment.get('access_token'),
+      refreshToken: fragment.get('refresh_token'),
+      // PKCE redirects carry no type; the code flow is only set up for recovery
+      type: get('type') || (code ? 'recovery' : null),
+      error: get('error'),
+      errorCode: get('error_code'),
+      errorDescription: get('error_description')
+    };
+  }
+
+  function exchangeLink(params) {
+    if (params.tokenHash) {
+      return supabase.auth.verifyOtp({
+        token_hash: params.tokenHash,
+        type: AUTH_ACTIONS[params.type].otpType
+      });
+    }
+
+    if (params.code) {
+      return supabase.auth.exchangeCodeForSession(params.code);
+    }
+
+    return supabase.auth.setSession({
+      access_token: params.accessToken,
+      refresh_token: params.refreshToken
+    });
+  }
+
+  /**
+   * The credentials of an unverified link, as app link parameters.
+   */
+  function getAppAuthParams(params) {
+    if (params.tokenHash) {
+      return { token_hash: params.tokenHash, type: params.type };
+    }
+    if (params.code) {
+      return { code: params.code, type: params.type };
+    }
+    return {
+      access_token: params.accessToken,
+      refresh_token: params.refreshToken,
+      type: params.type
+    };
+  }
+
+  /**
+   * Removes tokens, codes and auth errors from the address bar and the
+   * current history entry so they cannot leak or be replayed on reload.
+   */
+  function scrubAuthParams() {
+    const url = new URL(window.location.href);
+    const kept = new URLSearchParams();
+    PRESERVED_URL_PARAMS.forEach(function(name) {
+      if (url.searchParams.has(name)) {
+        kept.set(name, url.searchParams.get(name));
+      }
+    });
+    url.search = kept.toString();
+    url.hash = '';
+    window.history.replaceState(window.history.state, '', url);
+  }
+
   async function verifyToken() {
-    const urlParams = new URLSearchParams(window.location.search);
-    const tokenHash = urlParams.get('token_hash');
-    const type = urlParams.get('type');
+    // Links are single use: never send the same one twice from this page
+    if (linkVerified) return true;
 
-    if (!tokenHash || type !== 'recovery') {
-      errorType = 'invalidLink';
+    const params = readAuthParams();
+
+    if (AUTH_ACTIONS.hasOwnProperty(params.type)) {
+      currentAction = params.type;
+    }
+
+    if (params.error || params.errorCode) {
+      console.error('Auth link error:', params.errorCode || params.error, params.errorDescription);
+      errorType = classifyAuthError({
+        code: params.errorCode,
+        message: params.errorDescription
+      }, 'invalidLink');
       return false;
     }
 
+    const hasCredentials = params.tokenHash || params.code ||
+      (params.accessToken && params.refreshToken);
+
+    if (!hasCredentials || !currentAction) {
+      // A reload after a successful verification lands here, since the
+      // credentials were scrubbed from the URL
+      const usedAction = sessionStorage.getItem(LINK_USED_STORAGE_KEY);
+      if (!hasCredentials && usedAction && AUTH_ACTIONS.hasOwnProperty(usedAction)) {
+        currentAction = usedAction;
+        errorType = 'linkUsed';
+      } else {
+        errorType = 'invalidLink';
+      }
+      return false;
+    }
+
+    if (AUTH_ACTIONS[currentAction].verifyInApp) {
+      appAuthParams = getAppAuthParams(params);
+      return true;
+    }
+
     try {
-      const { data, error } = await supabase.auth.verifyOtp({
-        token_hash: tokenHash,
-        type: 'recovery'
-      });
+      const { data, error } = await exchangeLink(params);
 
       if (error) {
         console.error('Token verification error:', error);
-        if (error.message.includes('expired')) {
-          errorType = 'tokenExpired';
-        } else {
-          errorType = 'verificationFailed';
-        }
+        errorType = classifyAuthError(error, 'verificationFailed');
         return false;
       }
 
+      userEmail = data && data.user ? data.user.email : null;
+      verifiedSession = data ? data.session : null;
+      sessionExpiresAt = getSessionExpiry(verifiedSession);
+      linkVerified = true;
+      sessionStorage.setItem(LINK_USED_STORAGE_KEY, currentAction);
+      scrubAuthParams();
       return true;
     } catch (error) {
       console.error('Token verification exception:', error);
-      errorType = 'verificationFailed';
+      errorType = classifyAuthError(error, 'verificationFailed');
       return false;
     }
   }
 
+  /**
+   * Returns when a session expires, in local time. expires_in is preferred
+   * over expires_at so a skewed device clock does not shift the countdown.
+   */
+  function getSessionExpiry(session) {
+    if (!session) return null;
+    if (typeof session.expires_in === 'number') {
+      return Date.now() + session.expires_in * 1000;
+    }
+    if (typeof session.expires_at === 'number') {
+      return session.expires_at * 1000;
+    }
+    return null;
+  }
+
+  function getSessionRemaining() {
+    return sessionExpiresAt === null ? null : sessionExpiresAt - Date.now();
+  }
+
+  /**
+   * Updates the password. Resolves to null on success or to the error key
+   * describing the failure.
+   */
   async function updatePassword(newPassword) {
     try {
       const { data, error } = await supabase.auth.updateUser({
@@ -210,81 +736,470 @@ const PasswordReset = (function() {
 
       if (error) {
         console.error('Password update error:', error);
-        return false;
+        return classifyAuthError(error, 'updateFailed');
       }
 
-      return true;
+      return null;
     } catch (error) {
       console.error('Password update exception:', error);
+      return classifyAuthError(error, 'updateFailed');
+    }
+  }
+
+  /**
+   * Returns the verified TOTP factor the user must pass before changing the
+   * password, or null when the session needs no step-up. Throws when the
+   * factors cannot be read, so a lookup failure never skips the challenge.
+   */
+  async function getPendingMfaFactor() {
+    const factors = await supabase.auth.mfa.listFactors();
+    if (factors.error) throw factors.error;
+
+    const totp = (factors.data.totp || []).filter(function(factor) {
+      return factor.status === 'verified';
+    });
+    if (totp.length === 0) return null;
+
+    const assurance = await supabase.auth.mfa.getAuthenticatorAssuranceLevel();
+    if (assurance.error) throw assurance.error;
+
+    return assurance.data.currentLevel === 'aal2' ? null : totp[0];
+  }
+
+  /**
+   * Verifies a TOTP code to raise the session to AAL2. Resolves to null on
+   * success or to the error key describing the failure.
+   */
+  async function verifyMfaCode(code) {
+    try {
+      const { data, error } = await supabase.auth.mfa.challengeAndVerify({
+        factorId: mfaFactorId,
+        code: code
+      });
+
+      if (error) {
+        console.error('MFA verification error:', error);
+        return classifyAuthError(error, 'mfaInvalidCode');
+      }
+
+      // Stepping up to AAL2 issues a new session with its own lifetime
+      sessionExpiresAt = getSessionExpiry(data) || sessionExpiresAt;
+      mfaFactorId = null;
+      return null;
+    } catch (error) {
+      console.error('MFA verification exception:', error);
+      return classifyAuthError(error, 'verificationFailed');
+    }
+  }
+
+  /**
+   * Revokes every session except the one created by the recovery link.
+   * Supabase does not report how many sessions were affected.
+   */
+  async function signOutOtherSessions() {
+    try {
+      const { error } = await supabase.auth.signOut({ scope: 'others' });
+      if (error) {
+        console.error('Sign out of other sessions error:', error);
+        return false;
+      }
+      return true;
+    } catch (error) {
+      console.error('Sign out of other sessions exception:', error);
       return false;
     }
   }
 
+  /**
+   * Where the new link leads: this page, in the language it is shown in now.
+   */
+  function getRecoveryRedirectUrl() {
+    const url = new URL(window.location.origin + window.location.pathname);
+    url.searchParams.set('lang', currentLang);
+    return url.toString();
+  }
+
+  async function requestNewLink(email) {
+    try {
+      const { error } = await supabase.auth.resetPasswordForEmail(email, {
+        redirectTo: getRecoveryRedirectUrl()
+      });
+
+      if (error) {
+        console.error('Recovery link request error:', error);
+        return classifyAuthError(error, 'failed');
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Recovery link request exception:', error);
+      return classifyAuthError(error, 'failed');
+    }
+  }
+
   // ==========================================================================
   // Password Validation
   // ==========================================================================
 
+  async function isPasswordBreached(password) {
+    const result = await BreachCheck.check(password, breachRangeUrl);
+    if (!result) {
+      // A failed lookup must never block the reset, so it counts as not
+      // breached, but it is reported: a range URL the CSP blocks fails like
+      // this on every attempt
+      console.warn('[PasswordReset] Breached password check skipped: the lookup at ' + breachRangeUrl + ' failed');
+      return false;
+    }
+    return result.breached;
+  }
+
+  function normalizePasswordPolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+      return DEFAULT_PASSWORD_POLICY;
+    }
+
+    const minLength = Number.isInteger(policy.minLength) && policy.minLength > 0
+      ? policy.minLength
+      : DEFAULT_PASSWORD_POLICY.minLength;
+    const maxLength = Number.isInteger(policy.maxLength) && policy.maxLength >= minLength
+      ? policy.maxLength
+      : null;
+    const requiredClasses = Array.isArray(policy.requiredClasses)
+      ? policy.requiredClasses.filter(function(name) {
+        return CHARACTER_CLASSES.hasOwnProperty(name);
+      })
+      : DEFAULT_PASSWORD_POLICY.requiredClasses;
+
+    return { minLength: minLength, maxLength: maxLength, requiredClasses: requiredClasses };
+  }
+
+  /**
+   * Lists the rules of the active policy in display order. Each rule has an
+   * id (used as `data-req`), a locale label key, an optional `{n}` value and
+   * a test run against the password and its strength estimate.
+   */
+  function getPasswordRules() {
+    const rules = [{
+      id: 'minLength',
+      label: 'minLength',
+      value: passwordPolicy.minLength,
+      test: function(password) {
+        return password.length >= passwordPolicy.minLength;
+      }
+    }];
+
+    if (passwordPolicy.maxLength) {
+      rules.push({
+        id: 'maxLength',
+        label: 'maxLength',
+        value: passwordPolicy.maxLength,
+        test: function(password) {
+          return password.length > 0 && password.length <= passwordPolicy.maxLength;
+        }
+      });
+    }
+
+    passwordPolicy.requiredClasses.forEach(function(name) {
+      const characterClass = CHARACTER_CLASSES[name];
+      rules.push({
+        id: name,
+        label: characterClass.label,
+        test: function(password) {
+          return characterClass.pattern.test(password);
+        }
+      });
+    });
+
+    rules.push({
+      id: 'strongEnough',
+      label: 'strongEnough',
+      test: function(password, strength) {
+        return strength.score >= minStrengthScore;
+      }
+    });
+
+    return rules;
+  }
+
   function validatePassword(password) {
+    const strength = PasswordStrength.estimate(password, [userEmail]);
+    const rules = {};
+    getPasswordRules().forEach(function(rule) {
+      rules[rule.id] = rule.test(password, strength);
+    });
     return {
-      minLength: password.length >= 8,
-      hasUppercase: /[A-Z]/.test(password),
-      hasLowercase: /[a-z]/.test(password),
-      hasNumber: /[0-9]/.test(password)
+      rules: rules,
+      strength: strength
     };
   }
 
   function isPasswordValid(validation) {
-    return validation.minLength &&
-           validation.hasUppercase &&
-           validation.hasLowercase &&
-           validation.hasNumber;
+    return Object.keys(validation.rules).every(function(id) {
+      return validation.rules[id];
+    });
+  }
+
+  /**
+   * Describes the active policy in the `passwordrules` syntax read by
+   * password managers when they generate a password for the field.
+   */
+  function getPasswordRulesAttribute() {
+    const parts = ['minlength: ' + passwordPolicy.minLength];
+    if (passwordPolicy.maxLength) {
+      parts.push('maxlength: ' + passwordPolicy.maxLength);
+    }
+    passwordPolicy.requiredClasses.forEach(function(name) {
+      parts.push('required: ' + CHARACTER_CLASSES[name].rule);
+    });
+    parts.push('allowed: ascii-printable');
+    return parts.join('; ') + ';';
+  }
+
+  function randomIndex(length) {
+    // Rejection sampling keeps every index equally likely
+    const limit = Math.floor(0x100000000 / length) * length;
+    const buffer = new Uint32Array(1);
+    do {
+      crypto.getRandomValues(buffer);
+    } while (buffer[0] >= limit);
+    return buffer[0] % length;
+  }
+
+  function generateCandidate() {
+    const length = Math.min(
+      Math.max(SUGGESTED_PASSWORD_LENGTH, passwordPolicy.minLength),
+      passwordPolicy.maxLength || Infinity
+    );
+    const classes = Object.keys(CHARACTER_CLASSES).map(function(name) {
+      return CHARACTER_CLASSES[name].chars;
+    });
+    const alphabet = classes.join('');
+
+    // One character from every class, so any required class is covered
+    const chars = classes.map(function(set) {
+      return set[randomIndex(set.length)];
+    });
+    while (chars.length < length) {
+      chars.push(alphabet[randomIndex(alphabet.length)]);
+    }
+
+    for (let i = chars.length - 1; i > 0; i--) {
+      const j = randomIndex(i + 1);
+      const swap = chars[i];
+      chars[i] = chars[j];
+      chars[j] = swap;
+    }
+    return chars.join('');
+  }
+
+  /**
+   * Generates a random password that satisfies the active policy, or null
+   * when the browser has no secure random source.
+   */
+  function suggestPassword() {
+    if (!window.crypto || !crypto.getRandomValues) return null;
+
+    for (let attempt = 0; attempt < SUGGEST_MAX_ATTEMPTS; attempt++) {
+      const candidate = generateCandidate();
+      if (isPasswordValid(validatePassword(candidate))) {
+        return candidate;
+      }
+    }
+    return null;
+  }
+
+  // ==========================================================================
+  // Accessibility
+  // ==========================================================================
+
+  /**
+   * Reads a message out through the live region. The region is cleared
+   * first so repeating the same message is announced again.
+   */
+  function announce(message) {
+    let region = document.getElementById('sr-announcer');
+    if (!region) {
+      region = document.createElement('div');
+      region.id = 'sr-announcer';
+      region.className = 'sr-only';
+      region.setAttribute('role', 'status');
+      region.setAttribute('aria-live', 'polite');
+      document.body.appendChild(region);
+    }
+
+    region.textContent = '';
+    if (message) {
+      setTimeout(function() {
+        region.textContent = message;
+      }, ANNOUNCE_DELAY);
+    }
+  }
+
+  function focusElement(element) {
+    if (!element) return;
+    if (!element.hasAttribute('tabindex')) {
+      element.setAttribute('tabindex', '-1');
+    }
+    element.focus({ preventScroll: true });
+  }
+
+  // ==========================================================================
+  // Safe HTML
+  // ==========================================================================
+
+  // Locale strings are escaped and sanitized by rich-text.js
+  const escapeHtml = RichText.escape;
+  const sanitizeHtml = RichText.sanitize;
+
+  /**
+   * Marks markup built by this module to be interpolated unescaped; it is
+   * still sanitized with the rest of the message.
+   */
+  function trustedHtml(markup) {
+    return { trustedHtml: markup };
+  }
+
+  function escapeValue(value) {
+    return value && value.trustedHtml !== undefined ? value.trustedHtml : escapeHtml(value);
+  }
+
+  /**
+   * Formats a locale string as ICU message syntax (see message-format.js),
+   * then sanitizes the result. Sanitizing first would put entities such as
+   * `&#39;` into plural branches, where `#` is the count. Values are escaped
+   * unless wrapped with trustedHtml().
+   */
+  function formatHtml(message, values) {
+    return sanitizeHtml(MessageFormat.format(message, values, currentLang, { escape: escapeValue }));
+  }
+
+  /**
+   * Formats a message for plain-text use such as textContent and ARIA
+   * attributes; any markup in the locale string is dropped.
+   */
+  function formatText(message, values) {
+    return MessageFormat.format(RichText.toText(message), values, currentLang);
   }
 
   // ==========================================================================
   // Render Functions
   // ==========================================================================
 
+  function getStateText(state) {
+    const base = translations.states[state];
+    const actions = translations.actions || {};
+    const overrides = currentAction && actions[currentAction] ? actions[currentAction][state] : null;
+    return overrides ? Object.assign({}, base, overrides) : base;
+  }
+
   function renderLoading() {
-    const t = translations.states.loading;
+    const t = getStateText(STATE.LOADING);
     return '\
       <div class="loading-container">\
         <div class="spinner"></div>\
-        <p class="loading-text">' + t.message + '</p>\
+        <p class="loading-text">' + sanitizeHtml(t.message) + '</p>\
       </div>';
   }
 
+  function renderRequirements(labels) {
+    return getPasswordRules().map(function(rule) {
+      const text = formatHtml(labels[rule.label], { n: rule.value });
+      return '<li class="requirement-item" data-req="' + rule.id + '">' + text +
+        ' <span class="sr-only requirement-status">' + sanitizeHtml(labels.status.notMet) + '</span></li>';
+    }).join('');
+  }
+
+  function renderChallenge() {
+    const t = translations.states.challenge;
+    return '\
+      <header class="reset-header">\
+        <img src="assets/tikky-logo.png" alt="Tikky" class="logo">\
+        <h1 class="reset-title">' + sanitizeHtml(t.title) + '</h1>\
+        <p class="reset-subtitle">' + sanitizeHtml(t.subtitle) + '</p>\
+      </header>\
+      <form class="reset-form" id="challenge-form" novalidate>\
+        <div class="form-group">\
+          <label class="form-label" for="mfa-code">' + sanitizeHtml(t.codeLabel) + '</label>\
+          <input type="text" id="mfa-code" class="form-input code-input" inputmode="numeric" autocomplete="one-time-code" maxlength="6" pattern="[0-9]{6}" required>\
+          <p class="form-error" id="challenge-error" role="alert" style="display: none;"></p>\
+        </div>\
+        <button type="submit" class="submit-btn" id="challenge-btn" disabled>\
+          <span class="btn-text">' + sanitizeHtml(t.submit) + '</span>\
+        </button>\
+      </form>\
+      <footer class="reset-footer">\
+        <p class="footer-company">' + sanitizeHtml(translations.footer.company) + '</p>\
+        <p class="footer-contact">' + sanitizeHtml(translations.footer.contact) + '</p>\
+      </footer>';
+  }
+
+  function renderSignOutOption(t) {
+    const action = AUTH_ACTIONS[currentAction];
+    if (!action || !action.offerSignOutOthers) return '';
+    return '\
+        <label class="form-checkbox">\
+          <input type="checkbox" id="sign-out-others" checked>\
+          <span>' + sanitizeHtml(t.signOutOthers) + '</span>\
+        </label>';
+  }
+
+  function renderPasswordToggle(t, target) {
+    return '<button type="button" class="password-toggle" data-target="' + target + '" aria-controls="' + target + '" aria-pressed="false" aria-label="' + escapeHtml(t.showPassword) + '">';
+  }
+
+  /**
+   * Names the account being changed, visibly and in a username field that
+   * password managers use to file the new password under the right entry.
+   */
+  function renderAccount(t) {
+    if (!userEmail) return '';
+    const email = escapeHtml(userEmail);
+    const account = formatHtml(t.account, {
+      email: trustedHtml('<strong dir="ltr">' + email + '</strong>')
+    });
+    return '\
+        <p class="reset-account">' + account + '</p>\
+        <input type="email" name="username" autocomplete="username" value="' + email + '" hidden readonly>';
+  }
+
   function renderForm() {
-    const t = translations.states.form;
+    const t = getStateText(STATE.FORM);
     const req = t.requirements;
+    const passwordRules = getPasswordRulesAttribute();
     return '\
       <header class="reset-header">\
         <img src="assets/tikky-logo.png" alt="Tikky" class="logo">\
-        <h1 class="reset-title">' + t.title + '</h1>\
-        <p class="reset-subtitle">' + t.subtitle + '</p>\
+        <h1 class="reset-title">' + sanitizeHtml(t.title) + '</h1>\
+        <p class="reset-subtitle">' + sanitizeHtml(t.subtitle) + '</p>\
       </header>\
       <form class="reset-form" id="reset-form">\
+        ' + renderAccount(t) + '\
         <div class="form-group">\
-          <label class="form-label" for="new-password">' + t.newPassword + '</label>\
+          <label class="form-label" for="new-password">' + sanitizeHtml(t.newPassword) + '</label>\
           <div class="input-wrapper">\
-            <input type="password" id="new-password" class="form-input" autocomplete="new-password" required>\
-            <button type="button" class="password-toggle" data-target="new-password" aria-label="Toggle password visibility">\
+            <input type="password" id="new-password" name="new-password" class="form-input" autocomplete="new-password" passwordrules="' + passwordRules + '" aria-describedby="password-requirements strength-label" required>\
+            ' + renderPasswordToggle(t, 'new-password') + '\
               <svg viewBox="0 0 24 24" class="eye-icon">\
                 <path d="M12 4.5C7 4.5 2.73 7.61 1 12c1.73 4.39 6 7.5 11 7.5s9.27-3.11 11-7.5c-1.73-4.39-6-7.5-11-7.5zM12 17c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5zm0-8c-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3-1.34-3-3-3z"/>\
               </svg>\
             </button>\
           </div>\
-          <ul class="requirements-list">\
-            <li class="requirement-item" data-req="minLength">' + req.minLength + '</li>\
-            <li class="requirement-item" data-req="hasUppercase">' + req.hasUppercase + '</li>\
-            <li class="requirement-item" data-req="hasLowercase">' + req.hasLowercase + '</li>\
-            <li class="requirement-item" data-req="hasNumber">' + req.hasNumber + '</li>\
+          <button type="button" class="suggest-btn" id="suggest-password-btn">' + sanitizeHtml(t.suggest) + '</button>\
+          <p class="suggest-note" id="suggest-note" role="status"></p>\
+          <ul class="requirements-list" id="password-requirements">\
+            ' + renderRequirements(req) + '\
           </ul>\
+          <div class="strength-meter" id="strength-meter">\
+            <div class="strength-bar"><div class="strength-bar-fill"></div></div>\
+            <p class="strength-label" id="strength-label"></p>\
+            <p class="strength-feedback" id="strength-feedback"></p>\
+          </div>\
         </div>\
         <div class="form-group">\
-          <label class="form-label" for="confirm-password">' + t.confirmPassword + '</label>\
+          <label class="form-label" for="confirm-password">' + sanitizeHtml(t.confirmPassword) + '</label>\
           <div class="input-wrapper">\
-            <input type="password" id="confirm-password" class="form-input" autocomplete="new-password" required>\
-            <button type="button" class="password-toggle" data-target="confirm-password" aria-label="Toggle password visibility">\
+            <input type="password" id="confirm-password" name="confirm-password" class="form-input" autocomplete="new-password" passwordrules="' + passwordRules + '" required>\
+            ' + renderPasswordToggle(t, 'confirm-password') + '\
               <svg viewBox="0 0 24 24" class="eye-icon">\
                 <path d="M12 4.5C7 4.5 2.73 7.61 1 12c1.73 4.39 6 7.5 11 7.5s9.27-3.11 11-7.5c-1.73-4.39-6-7.5-11-7.5zM12 17c-2.76 0-5-2.24-5-5s2.24-5 5-5 5 2.24 5 5-2.24 5-5 5zm0-8c-1.66 0-3 1.34-3 3s1.34 3 3 3 3-1.34 3-3-1.34-3-3-3z"/>\
               </svg>\
@@ -292,113 +1207,505 @@ const PasswordReset = (function() {
           </div>\
           <p class="form-error" id="confirm-error" style="display: none;"></p>\
         </div>\
-        <button type="submit" class="submit-btn" id="submit-btn" disabled>\
-          <span class="btn-text">' + t.submit + '</span>\
-        </button>\
-      </form>\
+        <div class="form-warning" id="breach-warning" role="alert" style="display: none;">\
+          <p class="form-warning-title">' + sanitizeHtml(t.breached.title) + '</p>\
+          <p class="form-warning-text">' + sanitizeHtml(t.breached.message) + '</p>\
+        </div>\
+        ' + renderSignOutOption(t) + '\
+        <div class="form-warning" id="session-warning" role="alert" style="display: none;">\
+          <p class="form-warning-text">' + sanitizeHtml(t.session.expiringSoon) + '</p>\
+        </div>\
+        <p class="form-error" id="submit-error" role="alert" style="display: none;"></p>\
+        <button type="submit" class="submit-btn" id="submit-btn" disabled>\
+          <span class="btn-text">' + sanitizeHtml(t.submit) + '</span>\
+        </button>\
+        <p class="session-timer" id="session-timer" hidden></p>\
+      </form>\
+      <footer class="reset-footer">\
+        <p class="footer-company">' + sanitizeHtml(translations.footer.company) + '</p>\
+        <p class="footer-contact">' + sanitizeHtml(translations.footer.contact) + '</p>\
+      </footer>';
+  }
+
+  /**
+   * Returns the custom scheme and universal links back into the app for the
+   * current action, carrying the locale and the action's result hint.
+   */
+  function getAppLinks() {
+    const action = AUTH_ACTIONS[currentAction] || AUTH_ACTIONS.recovery;
+    const params = Object.assign({ lang: currentLang }, action.appParams, appAuthParams);
+    const universalBase = appLinks.universalLink
+      ? appLinks.universalLink.replace(/\/$/, '') + (action.appPath ? '/' + action.appPath : '')
+      : null;
+
+    return {
+      appUrl: AppHandoff.buildLink(DEEP_LINK + action.appPath, params),
+      universalUrl: universalBase ? AppHandoff.buildLink(universalBase, params) : null
+    };
+  }
+
+  function renderAppHandoff(t) {
+    const links = getAppLinks();
+
+    // Desktop users get a code to scan with their phone instead of a link
+    if (AppHandoff.detectPlatform() === AppHandoff.PLATFORMS.DESKTOP) {
+      const qrCode = AppHandoff.renderQrCode(links.universalUrl || links.appUrl);
+      if (qrCode) {
+        return '\
+        <div class="qr-handoff">\
+          <div class="qr-code">' + qrCode + '</div>\
+          <p class="qr-instruction">' + sanitizeHtml(t.scanQr) + '</p>\
+        </div>';
+      }
+    }
+
+    return '<a href="' + escapeHtml(links.appUrl) + '" class="open-app-btn" id="open-app-btn">' + sanitizeHtml(t.openApp) + '</a>';
+  }
+
+  function renderSuccess() {
+    const t = getStateText(STATE.SUCCESS);
+    // Secure email change needs both addresses confirmed; the first link
+    // verifies without a session
+    const message = !verifiedSession && t.pendingMessage ? t.pendingMessage : t.message;
+    let sessionsNote = '';
+    if (otherSessionsRevoked !== null) {
+      sessionsNote = '<p class="success-note">' +
+        sanitizeHtml(otherSessionsRevoked ? t.sessionsRevoked : t.sessionsNotRevoked) + '</p>';
+    }
+    return '\
+      <div class="success-container">\
+        <div class="success-icon">\
+          <svg viewBox="0 0 24 24">\
+            <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41L9 16.17z"/>\
+          </svg>\
+        </div>\
+        <h2 class="success-title">' + sanitizeHtml(t.title) + '</h2>\
+        <p class="success-message">' + sanitizeHtml(message) + '</p>\
+        <p class="success-instruction">' + sanitizeHtml(t.instruction) + '</p>\
+        ' + sessionsNote + '\
+        ' + renderAppHandoff(t) + '\
+      </div>\
+      <footer class="reset-footer">\
+        <p class="footer-company">' + sanitizeHtml(translations.footer.company) + '</p>\
+        <p class="footer-contact">' + sanitizeHtml(translations.footer.contact) + '</p>\
+      </footer>';
+  }
+
+  function canRequestNewLink() {
+    return supabase !== null &&
+           (currentAction === null || currentAction === 'recovery') &&
+           getErrorBehavior(errorType).action === 'resend';
+  }
+
+  function renderResendForm() {
+    // The address is known when the session expired after verification, or
+    // when coming back from the link sent confirmation to correct it
+    const t = translations.states.error.resend;
+    return '\
+        <form class="resend-form" id="resend-form" novalidate>\
+          <p class="resend-title">' + sanitizeHtml(t.title) + '</p>\
+          <label class="form-label" for="resend-email">' + sanitizeHtml(t.label) + '</label>\
+          <input type="email" id="resend-email" class="form-input" autocomplete="email" placeholder="' + escapeHtml(t.placeholder) + '" value="' + escapeHtml(userEmail || resendEmail || '') + '" required>\
+          <p class="form-error" id="resend-error" style="display: none;"></p>\
+          <button type="submit" class="submit-btn" id="resend-btn">' + sanitizeHtml(t.submit) + '</button>\
+        </form>';
+  }
+
+  function renderError() {
+    const t = getStateText(STATE.ERROR);
+    const errorMessage = t[errorType] || t.verificationFailed;
+    let action = '';
+    if (canRequestNewLink()) {
+      action = renderResendForm();
+    } else if (getErrorBehavior(errorType).action) {
+      action = '<button class="retry-btn" id="retry-btn">' + sanitizeHtml(t.retry) + '</button>';
+    }
+    return '\
+      <div class="error-container">\
+        <div class="error-icon">\
+          <svg viewBox="0 0 24 24">\
+            <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/>\
+          </svg>\
+        </div>\
+        <h2 class="error-title">' + sanitizeHtml(t.title) + '</h2>\
+        <p class="error-message">' + sanitizeHtml(errorMessage) + '</p>\
+        ' + action + '\
+      </div>\
       <footer class="reset-footer">\
-        <p class="footer-company">' + translations.footer.company + '</p>\
-        <p class="footer-contact">' + translations.footer.contact + '</p>\
+        <p class="footer-company">' + sanitizeHtml(translations.footer.company) + '</p>\
+        <p class="footer-contact">' + sanitizeHtml(translations.footer.contact) + '</p>\
       </footer>';
   }
 
-  function renderSuccess() {
-    const t = translations.states.success;
+  function renderLinkSent() {
+    const t = translations.states.linkSent;
+    const message = formatHtml(t.message, {
+      email: trustedHtml('<strong>' + escapeHtml(resendEmail) + '</strong>')
+    });
     return '\
       <div class="success-container">\
         <div class="success-icon">\
           <svg viewBox="0 0 24 24">\
-            <path d="M9 16.17L4.83 12l-1.42 1.41L9 19 21 7l-1.41-1.41L9 16.17z"/>\
+            <path d="M20 4H4c-1.1 0-1.99.9-1.99 2L2 18c0 1.1.9 2 2 2h16c1.1 0 2-.9 2-2V6c0-1.1-.9-2-2-2zm0 4l-8 5-8-5V6l8 5 8-5v2z"/>\
           </svg>\
         </div>\
-        <h2 class="success-title">' + t.title + '</h2>\
-        <p class="success-message">' + t.message + '</p>\
-        <p class="success-instruction">' + t.instruction + '</p>\
-        <a href="' + DEEP_LINK + '" class="open-app-btn">' + t.openApp + '</a>\
+        <h2 class="success-title">' + sanitizeHtml(t.title) + '</h2>\
+        <p class="success-message">' + message + '</p>\
+        <p class="success-instruction">' + sanitizeHtml(t.hint) + '</p>\
+        <p class="form-error" id="resend-error" style="display: none;"></p>\
+        <button class="retry-btn" id="resend-again-btn">' + sanitizeHtml(t.resend) + '</button>\
       </div>\
       <footer class="reset-footer">\
-        <p class="footer-company">' + translations.footer.company + '</p>\
-        <p class="footer-contact">' + translations.footer.contact + '</p>\
+        <p class="footer-company">' + sanitizeHtml(translations.footer.company) + '</p>\
+        <p class="footer-contact">' + sanitizeHtml(translations.footer.contact) + '</p>\
       </footer>';
   }
 
-  function renderError() {
-    const t = translations.states.error;
-    const errorMessage = t[errorType] || t.verificationFailed;
+  function renderOffline() {
+    const t = translations.states.offline;
+    const title = offlineReason === 'offline' ? t.offlineTitle : t.unavailableTitle;
+    const message = offlineReason === 'offline' ? t.offlineMessage : t.unavailableMessage;
     return '\
       <div class="error-container">\
         <div class="error-icon">\
           <svg viewBox="0 0 24 24">\
-            <path d="M12 2C6.48 2 2 6.48 2 12s4.48 10 10 10 10-4.48 10-10S17.52 2 12 2zm1 15h-2v-2h2v2zm0-4h-2V7h2v6z"/>\
+            <path d="M23.64 7c-.45-.34-4.93-4-11.64-4-1.5 0-2.89.19-4.15.48L18.18 13.8 23.64 7zm-6.6 8.22L3.27 1.44 2 2.72l2.05 2.06C1.91 5.76.59 6.82.36 7l11.63 14.49.01.01.01-.01 3.9-4.86 3.32 3.32 1.27-1.27-3.46-3.46z"/>\
           </svg>\
         </div>\
-        <h2 class="error-title">' + t.title + '</h2>\
-        <p class="error-message">' + errorMessage + '</p>\
-        <button class="retry-btn" id="retry-btn">' + t.retry + '</button>\
+        <h2 class="error-title">' + sanitizeHtml(title) + '</h2>\
+        <p class="error-message">' + sanitizeHtml(message) + '</p>\
+        <button class="retry-btn" id="offline-retry-btn">' + sanitizeHtml(t.retry) + '</button>\
       </div>\
       <footer class="reset-footer">\
-        <p class="footer-company">' + translations.footer.company + '</p>\
-        <p class="footer-contact">' + translations.footer.contact + '</p>\
+        <p class="footer-company">' + sanitizeHtml(translations.footer.company) + '</p>\
+        <p class="footer-contact">' + sanitizeHtml(translations.footer.contact) + '</p>\
       </footer>';
   }
 
-  function renderCurrentState() {
-    const container = document.getElementById('content-container');
-    if (!container || !translations) return;
+  // ==========================================================================
+  // State Machine
+  // ==========================================================================
 
-    let html = '';
-    switch (currentState) {
-      case STATE.LOADING:
-        html = renderLoading();
-        break;
-      case STATE.FORM:
-        html = renderForm();
-        break;
-      case STATE.SUCCESS:
-        html = renderSuccess();
-        break;
-      case STATE.ERROR:
-        html = renderError();
+  // How each state is drawn. `enter` runs after every render, including the
+  // re-render after a language switch, and `exit` before the state is
+  // replaced. On entering a state, focus goes to the first `focus` match or
+  // else the heading, and the `announce` elements are read out.
+  const STATE_VIEWS = {
+    loading: {
+      render: renderLoading,
+      announce: ['.loading-text']
+    },
+    challenge: {
+      render: renderChallenge,
+      enter: attachChallengeListeners,
+      focus: ['#mfa-code']
+    },
+    form: {
+      render: renderForm,
+      enter: attachFormListeners,
+      exit: stopSessionTimer
+    },
+    success: {
+      render: renderSuccess,
+      enter: attachHandoffListener,
+      announce: ['.success-message']
+    },
+    error: {
+      render: renderError,
+      enter: function() {
+        attachRetryListener();
+        attachResendListeners();
+      },
+      announce: ['.error-message']
+    },
+    linkSent: {
+      render: renderLinkSent,
+      enter: attachResendListeners,
+      announce: ['.success-message']
+    },
+    offline: {
+      render: renderOffline,
+      enter: function() {
+        const offlineRetryBtn = document.getElementById('offline-retry-btn');
+        offlineRetryBtn.addEventListener('click', resumeVerification);
+      },
+      announce: ['.error-message']
+    }
+  };
+
+  // States that can only be (re-)entered while they still make sense
+  const STATE_GUARDS = {
+    challenge: function() {
+      return mfaFactorId !== null;
+    },
+    form: function() {
+      const remaining = getSessionRemaining();
+      return remaining === null || remaining > 0;
+    }
+  };
+
+  function isDebugEnabled() {
+    if (options.debug) return true;
+    try {
+      return localStorage.getItem(DEBUG_STORAGE_KEY) === '1';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  function debugLog(message, detail) {
+    if (isDebugEnabled()) {
+      console.debug('[PasswordReset] ' + message, detail || '');
+    }
+  }
+
+  function canEnter(state) {
+    return !STATE_GUARDS[state] || STATE_GUARDS[state]();
+  }
+
+  /**
+   * Moves focus into a newly entered state and announces it, since the
+   * content swap itself is silent for screen readers.
+   */
+  function presentState(state) {
+    const view = STATE_VIEWS[state];
+    const container = getContainer();
+
+    const candidates = (view.focus || []).concat(['h1', 'h2']);
+    for (let i = 0; i < candidates.length; i++) {
+      const element = container.querySelector(candidates[i]);
+      if (element) {
+        focusElement(element);
         break;
+      }
+    }
+
+    announce((view.announce || []).map(function(selector) {
+      const element = container.querySelector(selector);
+      return element ? element.textContent.trim() : '';
+    }).join(' '));
+  }
+
+  /**
+   * Moves to another state if the transition table allows it and the target
+   * state's guard passes. Returns whether the transition happened.
+   */
+  function transition(to) {
+    const from = currentState;
+    const rule = TRANSITIONS[from][to];
+
+    if (!rule) {
+      console.warn('[PasswordReset] Invalid transition ' + from + ' -> ' + to);
+      return false;
+    }
+
+    if (!canEnter(to)) {
+      debugLog('Guard rejected ' + from + ' -> ' + to);
+      return false;
+    }
+
+    debugLog(from + ' -> ' + to, to === STATE.ERROR ? { errorType: errorType } : null);
+
+    currentState = to;
+    if (rule.push) {
+      window.history.pushState({ tikkyState: to }, '');
+    } else {
+      window.history.replaceState({ tikkyState: to }, '');
     }
 
-    container.innerHTML = html;
+    renderCurrentState();
+    presentState(to);
+    return true;
+  }
+
+  /**
+   * Handles back/forward between entries added by pushed transitions. A step
+   * is followed when it undoes or redoes a pushed transition that is still
+   * valid; otherwise the entry is rewritten to the current state, so the
+   * next back press leaves the page as usual.
+   */
+  function handlePopState(event) {
+    const target = event.state && event.state.tikkyState;
+    if (!target || target === currentState) return;
+
+    const back = TRANSITIONS[target] && TRANSITIONS[target][currentState];
+    const forward = TRANSITIONS[currentState][target];
+    const followed = ((back && back.push) || (forward && forward.push)) && canEnter(target);
+
+    if (!followed) {
+      debugLog('Ignored history step ' + currentState + ' -> ' + target);
+      window.history.replaceState({ tikkyState: currentState }, '');
+      return;
+    }
+
+    debugLog('History ' + currentState + ' -> ' + target);
+    currentState = target;
+    renderCurrentState();
+    presentState(target);
+  }
+
+  function getContainer() {
+    return options.container || document.getElementById('content-container');
+  }
+
+  function callHook(name, payload) {
+    if (typeof options[name] !== 'function') return;
+    try {
+      options[name](payload);
+    } catch (error) {
+      console.error('Error in ' + name + ' callback:', error);
+    }
+  }
+
+  /**
+   * Reports state transitions to the lifecycle callbacks. Re-renders of the
+   * same state, such as after a language switch, are not transitions.
+   */
+  function notifyStateChange() {
+    if (currentState === renderedState) return;
+
+    const previousState = renderedState;
+    renderedState = currentState;
+
+    const change = {
+      state: currentState,
+      previousState: previousState,
+      action: currentAction,
+      errorType: currentState === STATE.ERROR ? errorType : null
+    };
+    callHook('onStateChange', change);
+    EmbedBridge.send('state', change);
 
-    if (currentState === STATE.FORM) {
-      attachFormListeners();
+    if (currentState === STATE.SUCCESS) {
+      callHook('onSuccess', { action: currentAction, email: userEmail });
     }
 
     if (currentState === STATE.ERROR) {
-      attachRetryListener();
+      callHook('onError', { action: currentAction, errorType: errorType });
+    }
+  }
+
+  function renderCurrentState() {
+    const container = getContainer();
+    if (!container || !translations) return;
+
+    const view = STATE_VIEWS[currentState];
+    const previousView = renderedState ? STATE_VIEWS[renderedState] : null;
+    if (previousView && previousView.exit) {
+      previousView.exit();
+    }
+
+    // Focus inside the container is lost when its content is replaced
+    const hadFocus = container.contains(document.activeElement);
+
+    // Re-rendering the same state, as after a language switch made here or
+    // in another tab, keeps what the user has typed and where they were
+    const rerender = currentState === renderedState;
+    const fields = rerender ? captureFields(container) : [];
+    const focusedId = rerender && hadFocus ? document.activeElement.id : '';
+
+    container.innerHTML = view.render();
+
+    if (view.enter) {
+      view.enter();
+    }
+
+    restoreFields(container, fields);
+
+    if (hadFocus) {
+      const focused = focusedId && document.getElementById(focusedId);
+      if (focused && container.contains(focused)) {
+        focused.focus({ preventScroll: true });
+      } else {
+        focusElement(container.querySelector('h1, h2'));
+      }
     }
+
+    notifyStateChange();
+  }
+
+  function captureFields(container) {
+    return Array.from(container.querySelectorAll('input[id]')).map(function(input) {
+      return { id: input.id, type: input.type, value: input.value, checked: input.checked };
+    });
+  }
+
+  /**
+   * Puts captured values back into a freshly rendered view. Text fields fire
+   * `input` so the view's own listeners redo their validation.
+   */
+  function restoreFields(container, fields) {
+    fields.forEach(function(field) {
+      const input = document.getElementById(field.id);
+      if (!input || !container.contains(input)) return;
+
+      if (input.type === 'checkbox') {
+        input.checked = field.checked;
+        return;
+      }
+
+      // Revealed passwords stay revealed
+      const toggle = container.querySelector('.password-toggle[data-target="' + field.id + '"]');
+      if (toggle && input.type !== field.type) {
+        input.type = field.type;
+        toggle.setAttribute('aria-pressed', field.type === 'text' ? 'true' : 'false');
+      }
+
+      if (field.value !== input.value) {
+        input.value = field.value;
+        input.dispatchEvent(new Event('input'));
+      }
+    });
+  }
+
+  function attachHandoffListener() {
+    const openAppBtn = document.getElementById('open-app-btn');
+    if (!openAppBtn) return;
+
+    openAppBtn.addEventListener('click', function(e) {
+      e.preventDefault();
+      const links = getAppLinks();
+      AppHandoff.open({
+        appUrl: links.appUrl,
+        universalUrl: links.universalUrl,
+        iosStoreUrl: appLinks.iosStoreUrl,
+        androidStoreUrl: appLinks.androidStoreUrl,
+        androidPackage: appLinks.androidPackage
+      });
+    });
   }
 
-  function getRemainingCooldown() {
-    var lastRetry = sessionStorage.getItem(RETRY_STORAGE_KEY);
-    if (!lastRetry) return 0;
-    var elapsed = Date.now() - parseInt(lastRetry, 10);
-    var remaining = RETRY_COOLDOWN - elapsed;
+  function getRemainingCooldown(storageKey, cooldown) {
+    var lastAttempt = sessionStorage.getItem(storageKey);
+    if (!lastAttempt) return 0;
+    var elapsed = Date.now() - parseInt(lastAttempt, 10);
+    var remaining = cooldown - elapsed;
     return remaining > 0 ? remaining : 0;
   }
 
-  function attachRetryListener() {
-    var retryBtn = document.getElementById('retry-btn');
-    if (!retryBtn) return;
+  function startCooldown(storageKey) {
+    sessionStorage.setItem(storageKey, Date.now().toString());
+  }
 
+  /**
+   * Keeps a button disabled with a "Wait {seconds}s" label while the cooldown
+   * stored under storageKey is running. Returns a function that re-checks the
+   * cooldown, to be called after starting a new one.
+   */
+  function bindCooldownButton(button, storageKey, cooldown, originalText) {
     var countdownInterval = null;
-    var originalText = translations.states.error.retry;
+    var waitTemplate = translations.states.error.retryWait;
 
     function updateButtonState() {
-      var remaining = getRemainingCooldown();
+      var remaining = getRemainingCooldown(storageKey, cooldown);
       if (remaining > 0) {
         var seconds = Math.ceil(remaining / 1000);
-        var waitText = translations.states.error.retryWait.replace('{seconds}', seconds);
-        retryBtn.textContent = waitText;
-        retryBtn.disabled = true;
+        button.textContent = formatText(waitTemplate, { seconds: seconds });
+        button.disabled = true;
         return true;
       } else {
-        retryBtn.textContent = originalText;
-        retryBtn.disabled = false;
+        button.textContent = originalText;
+        button.disabled = false;
         return false;
       }
     }
@@ -413,32 +1720,215 @@ const PasswordReset = (function() {
       }, 200);
     }
 
-    if (updateButtonState()) {
-      startCountdown();
+    function refresh() {
+      if (updateButtonState()) {
+        startCountdown();
+      }
     }
 
+    refresh();
+    return refresh;
+  }
+
+  function formatRemaining(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes + ':' + (seconds < 10 ? '0' : '') + seconds;
+  }
+
+  function expireSession() {
+    errorType = 'sessionExpired';
+    transition(STATE.ERROR);
+  }
+
+  /**
+   * Counts the recovery session down on the form, warns shortly before it
+   * expires and moves to the session expired error once it has. Timers are
+   * throttled in background tabs, so the count is also refreshed when the
+   * tab becomes visible again.
+   */
+  function startSessionTimer() {
+    const timer = document.getElementById('session-timer');
+    const warning = document.getElementById('session-warning');
+    if (!timer || getSessionRemaining() === null) return;
+
+    const t = getStateText(STATE.FORM).session;
+
+    sessionTimerUpdate = function() {
+      const remaining = getSessionRemaining();
+      if (remaining <= 0) {
+        expireSession();
+        return;
+      }
+
+      const expiringSoon = remaining <= SESSION_WARNING_THRESHOLD;
+      timer.textContent = formatText(t.expiresIn, { time: formatRemaining(remaining) });
+      timer.classList.toggle('warning', expiringSoon);
+      timer.hidden = false;
+      if (expiringSoon) {
+        warning.style.display = 'block';
+      }
+    };
+
+    sessionTimer = setInterval(sessionTimerUpdate, SESSION_TIMER_INTERVAL);
+    document.addEventListener('visibilitychange', sessionTimerUpdate);
+    sessionTimerUpdate();
+  }
+
+  function stopSessionTimer() {
+    if (!sessionTimer) return;
+    clearInterval(sessionTimer);
+    document.removeEventListener('visibilitychange', sessionTimerUpdate);
+    sessionTimer = null;
+    sessionTimerUpdate = null;
+  }
+
+  function attachRetryListener() {
+    var retryBtn = document.getElementById('retry-btn');
+    if (!retryBtn) return;
+
+    bindCooldownButton(retryBtn, RETRY_STORAGE_KEY, RETRY_COOLDOWN, getStateText(STATE.ERROR).retry);
+
     retryBtn.addEventListener('click', function() {
-      if (getRemainingCooldown() > 0) return;
-      sessionStorage.setItem(RETRY_STORAGE_KEY, Date.now().toString());
+      // A reload would find the link already used, so a verified session
+      // is resumed in place
+      if (linkVerified) {
+        retryBtn.disabled = true;
+        resumeVerifiedFlow();
+        return;
+      }
+
+      if (getRemainingCooldown(RETRY_STORAGE_KEY, RETRY_COOLDOWN) > 0) return;
+      startCooldown(RETRY_STORAGE_KEY);
       location.reload();
     });
   }
 
+  function attachResendListeners() {
+    var form = document.getElementById('resend-form');
+    var emailInput = document.getElementById('resend-email');
+    var button = document.getElementById('resend-btn') || document.getElementById('resend-again-btn');
+    var resendError = document.getElementById('resend-error');
+    if (!button) return;
+
+    var t = translations.states.error.resend;
+    var originalText = button.textContent;
+    var refreshCooldown = bindCooldownButton(button, RESEND_STORAGE_KEY, RESEND_COOLDOWN, originalText);
+
+    function showError(message) {
+      resendError.textContent = message;
+      resendError.style.display = 'block';
+      if (emailInput) emailInput.classList.add('error');
+    }
+
+    async function send(email) {
+      if (getRemainingCooldown(RESEND_STORAGE_KEY, RESEND_COOLDOWN) > 0) return;
+
+      resendError.style.display = 'none';
+      button.disabled = true;
+      button.innerHTML = '<div class="spinner"></div>';
+
+      var failure = await requestNewLink(email);
+
+      // Rate-limited requests still start the cooldown so the user waits it out
+      if (!failure || failure === 'rateLimited') {
+        startCooldown(RESEND_STORAGE_KEY);
+      }
+
+      if (!failure) {
+        resendEmail = email;
+        transition(STATE.LINK_SENT);
+        return;
+      }
+
+      button.textContent = originalText;
+      refreshCooldown();
+      showError(t[failure] || translations.states.error[failure] || t.failed);
+    }
+
+    if (form) {
+      emailInput.addEventListener('input', function() {
+        resendError.style.display = 'none';
+        emailInput.classList.remove('error');
+      });
+
+      form.addEventListener('submit', function(e) {
+        e.preventDefault();
+        var email = emailInput.value.trim();
+        if (!emailInput.checkValidity() || !email) {
+          showError(t.invalidEmail);
+          return;
+        }
+        send(email);
+      });
+    } else {
+      button.addEventListener('click', function() {
+        send(resendEmail);
+      });
+    }
+  }
+
   // ==========================================================================
   // Form Event Handlers
   // ==========================================================================
 
+  function attachChallengeListeners() {
+    const form = document.getElementById('challenge-form');
+    const codeInput = document.getElementById('mfa-code');
+    const submitBtn = document.getElementById('challenge-btn');
+    const challengeError = document.getElementById('challenge-error');
+    const t = translations.states.challenge;
+
+    codeInput.addEventListener('input', function() {
+      this.value = this.value.replace(/[^0-9]/g, '').slice(0, 6);
+      submitBtn.disabled = this.value.length !== 6;
+      challengeError.style.display = 'none';
+      codeInput.classList.remove('error');
+    });
+
+    form.addEventListener('submit', async function(e) {
+      e.preventDefault();
+      if (codeInput.value.length !== 6) return;
+
+      submitBtn.disabled = true;
+      submitBtn.innerHTML = '<div class="spinner"></div>';
+
+      const failure = await verifyMfaCode(codeInput.value);
+
+      if (!failure) {
+        transition(STATE.FORM);
+      } else if (getErrorBehavior(failure).inline) {
+        const errorText = getStateText(STATE.ERROR);
+        challengeError.textContent = errorText[failure] || errorText.mfaInvalidCode;
+        challengeError.style.display = 'block';
+        codeInput.classList.add('error');
+        codeInput.value = '';
+        codeInput.focus();
+        submitBtn.innerHTML = '<span class="btn-text">' + sanitizeHtml(t.submit) + '</span>';
+      } else {
+        errorType = failure;
+        transition(STATE.ERROR);
+      }
+    });
+  }
+
   function attachFormListeners() {
     const form = document.getElementById('reset-form');
     const newPasswordInput = document.getElementById('new-password');
     const confirmPasswordInput = document.getElementById('confirm-password');
     const submitBtn = document.getElementById('submit-btn');
     const confirmError = document.getElementById('confirm-error');
+    const breachWarning = document.getElementById('breach-warning');
+    const submitError = document.getElementById('submit-error');
+    const signOutOthersInput = document.getElementById('sign-out-others');
 
     // Password validation on input
     newPasswordInput.addEventListener('input', function() {
       const validation = validatePassword(this.value);
+      submitError.style.display = 'none';
       updateRequirements(validation);
+      updateStrengthMeter(validation.strength, this.value);
       checkFormValidity();
     });
 
@@ -450,17 +1940,43 @@ const PasswordReset = (function() {
     // Password toggle buttons
     document.querySelectorAll('.password-toggle').forEach(function(btn) {
       btn.addEventListener('click', function() {
-        const targetId = this.dataset.target;
-        const input = document.getElementById(targetId);
-        const isPassword = input.type === 'password';
-        input.type = isPassword ? 'text' : 'password';
+        const input = document.getElementById(this.dataset.target);
+        setPasswordVisible(input, input.type === 'password');
+      });
+    });
+
+    // Suggested password fills both fields and stays visible so it can be
+    // saved; password managers pick it up from the username/new-password pair
+    const suggestBtn = document.getElementById('suggest-password-btn');
+    const suggestNote = document.getElementById('suggest-note');
+    suggestBtn.addEventListener('click', function() {
+      const password = suggestPassword();
+      if (!password) {
+        suggestBtn.hidden = true;
+        return;
+      }
+
+      [newPasswordInput, confirmPasswordInput].forEach(function(input) {
+        input.value = password;
+        setPasswordVisible(input, true);
+        input.dispatchEvent(new Event('input'));
       });
+      suggestNote.textContent = getStateText(STATE.FORM).suggested;
     });
 
+    startSessionTimer();
+
     // Form submission
     form.addEventListener('submit', async function(e) {
       e.preventDefault();
 
+      // An expired session would only fail the update
+      const remaining = getSessionRemaining();
+      if (remaining !== null && remaining <= 0) {
+        expireSession();
+        return;
+      }
+
       const newPassword = newPasswordInput.value;
       const confirmPassword = confirmPasswordInput.value;
 
@@ -476,24 +1992,74 @@ const PasswordReset = (function() {
       submitBtn.disabled = true;
       submitBtn.innerHTML = '<div class="spinner"></div>';
 
+      // Reject passwords found in known breaches
+      if (await isPasswordBreached(newPassword)) {
+        breachedPassword = newPassword;
+        submitBtn.innerHTML = '<span class="btn-text">' + sanitizeHtml(getStateText(STATE.FORM).submit) + '</span>';
+        checkFormValidity();
+        newPasswordInput.focus();
+        return;
+      }
+
       // Update password
-      const success = await updatePassword(newPassword);
+      const failure = await updatePassword(newPassword);
 
-      if (success) {
-        currentState = STATE.SUCCESS;
-        renderCurrentState();
+      if (!failure) {
+        if (signOutOthersInput && signOutOthersInput.checked) {
+          otherSessionsRevoked = await signOutOtherSessions();
+        }
+        transition(STATE.SUCCESS);
+      } else if (getErrorBehavior(failure).inline) {
+        const errorText = getStateText(STATE.ERROR);
+        submitError.textContent = errorText[failure] || errorText.updateFailed;
+        submitError.style.display = 'block';
+        submitBtn.innerHTML = '<span class="btn-text">' + sanitizeHtml(getStateText(STATE.FORM).submit) + '</span>';
+        checkFormValidity();
       } else {
-        errorType = 'updateFailed';
-        currentState = STATE.ERROR;
-        renderCurrentState();
+        errorType = failure;
+        transition(STATE.ERROR);
       }
     });
 
+    function setPasswordVisible(input, visible) {
+      input.type = visible ? 'text' : 'password';
+      const toggle = document.querySelector('.password-toggle[data-target="' + input.id + '"]');
+      toggle.setAttribute('aria-pressed', visible ? 'true' : 'false');
+    }
+
     function updateRequirements(validation) {
+      const status = translations.states.form.requirements.status;
       document.querySelectorAll('.requirement-item').forEach(function(item) {
-        const req = item.dataset.req;
-        item.classList.toggle('valid', validation[req]);
+        const valid = validation.rules[item.dataset.req];
+        item.classList.toggle('valid', valid);
+        item.querySelector('.requirement-status').textContent = valid ? status.met : status.notMet;
+      });
+    }
+
+    function updateStrengthMeter(strength, password) {
+      const meter = document.getElementById('strength-meter');
+      const label = document.getElementById('strength-label');
+      const feedback = document.getElementById('strength-feedback');
+      const t = translations.states.form.strength;
+
+      if (!password) {
+        meter.removeAttribute('data-score');
+        label.textContent = '';
+        feedback.textContent = '';
+        return;
+      }
+
+      meter.setAttribute('data-score', strength.score);
+      label.textContent = formatText(t.label, { level: t.levels[strength.score] });
+
+      const messages = [];
+      if (strength.feedback.warning) {
+        messages.push(t.warnings[strength.feedback.warning]);
+      }
+      strength.feedback.suggestions.forEach(function(key) {
+        messages.push(t.suggestions[key]);
       });
+      feedback.textContent = messages.join(' ');
     }
 
     function checkFormValidity() {
@@ -502,8 +2068,12 @@ const PasswordReset = (function() {
       const validation = validatePassword(newPassword);
       const isValid = isPasswordValid(validation);
       const passwordsMatch = newPassword === confirmPassword && confirmPassword.length > 0;
+      const isBreached = breachedPassword !== null && newPassword === breachedPassword;
 
-      submitBtn.disabled = !isValid || !passwordsMatch;
+      submitBtn.disabled = !isValid || !passwordsMatch || isBreached;
+
+      breachWarning.style.display = isBreached ? 'block' : 'none';
+      newPasswordInput.classList.toggle('error', isBreached);
 
       // Clear error when passwords match
       if (passwordsMatch || confirmPassword.length === 0) {
@@ -517,77 +2087,249 @@ const PasswordReset = (function() {
   // Initialization
   // ==========================================================================
 
-  async function init() {
-    // Initialize theme first
-    currentTheme = getPreferredTheme();
-    applyTheme(currentTheme);
+  /**
+   * Starts the flow. Every option is optional; see DEFAULT_OPTIONS. Calling
+   * it again starts over with the new options once the previous run is done.
+   * @param {Object} [initOptions]
+   * @returns {Promise<void>}
+   */
+  function init(initOptions) {
+    const run = initQueue.then(function() {
+      return startFlow(initOptions);
+    });
+    initQueue = run.catch(function() {});
+    return run;
+  }
+
+  /**
+   * Forgets what a previous run learned: its client, link and session.
+   */
+  function resetFlowState() {
+    stopSessionTimer();
+    supabase = null;
+    currentAction = null;
+    errorType = null;
+    linkVerified = false;
+    appAuthParams = null;
+    verifiedSession = null;
+    sessionExpiresAt = null;
+    resendEmail = null;
+    userEmail = null;
+    otherSessionsRevoked = null;
+    mfaFactorId = null;
+    offlineReason = null;
+    appLinks = DEFAULT_APP_LINKS;
+    minStrengthScore = MIN_STRENGTH_SCORE;
+    passwordPolicy = DEFAULT_PASSWORD_POLICY;
+    breachRangeUrl = BreachCheck.DEFAULT_RANGE_URL;
+    breachedPassword = null;
+  }
+
+  async function startFlow(initOptions) {
+    options = Object.assign({}, DEFAULT_OPTIONS, initOptions);
+    resetFlowState();
+
+    // Explicit URL preferences win for this visit and are saved only on request
+    const urlParams = new URLSearchParams(window.location.search);
+
+    // Initialize theme first, before anything is fetched, so it never flashes
+    applyTheme(getPreferredThemeMode());
+    if (options.persistUrlPreferences && urlParams.get('theme') === themeMode) {
+      Preferences.set('theme', themeMode === SYSTEM_THEME ? null : themeMode);
+    }
+
+    await Locales.loadManifest(options.localeBasePath);
+
+    if (EmbedBridge.isEmbedded()) {
+      startEmbedBridge();
+    }
 
     // Initialize language
+    Locales.renderSwitcher(switchLanguage);
     currentLang = getPreferredLanguage();
-    translations = await loadTranslations(currentLang);
+    if (options.persistUrlPreferences && Locales.match(urlParams.get('lang'))) {
+      saveLanguagePreference(currentLang);
+    }
+    translations = await Locales.loadTranslations(currentLang);
 
     if (translations) {
-      updateLanguageSwitcher(currentLang);
+      Locales.updateSwitcher(currentLang, translations.meta.chooseLanguage);
+      updateThemeMenu();
       document.documentElement.lang = currentLang;
-      const direction = translations.meta.direction || 'ltr';
-      document.documentElement.dir = direction;
+      document.documentElement.dir = Locales.getDirection(currentLang);
+      Locales.applyFonts(currentLang);
 
       // Show loading state
       currentState = STATE.LOADING;
+      window.history.replaceState({ tikkyState: currentState }, '');
       renderCurrentState();
     }
 
-    // Attach language switcher handlers
-    document.querySelectorAll('.lang-btn').forEach(function(btn) {
-      btn.addEventListener('click', function() {
-        const lang = btn.dataset.lang;
-        switchLanguage(lang);
-      });
-    });
+    attachPageListeners();
+    await startVerification();
+  }
 
-    // Attach theme switcher handler
-    const themeSwitcher = document.getElementById('theme-switcher');
-    if (themeSwitcher) {
-      themeSwitcher.addEventListener('click', toggleTheme);
-    }
+  function attachPageListeners() {
+    if (listenersAttached) return;
+    listenersAttached = true;
+
+    window.addEventListener('popstate', handlePopState);
+
+    ThemeMenu.setup(setTheme);
+
+    // Follow changes made on other Tikky pages
+    Preferences.subscribe(handlePreferenceChange);
 
-    // Listen for system theme changes
+    // Listen for system theme changes; they only apply while no theme is chosen
     if (window.matchMedia) {
-      window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', function(e) {
-        const stored = localStorage.getItem(THEME_STORAGE_KEY);
-        if (!stored) {
-          applyTheme(e.matches ? THEMES.DARK : THEMES.LIGHT);
-        }
+      ['(prefers-color-scheme: dark)', '(prefers-contrast: more)'].forEach(function(query) {
+        window.matchMedia(query).addEventListener('change', function() {
+          if (themeMode === SYSTEM_THEME) {
+            applyTheme(SYSTEM_THEME);
+          }
+        });
       });
     }
 
+    // Resume automatically when the connection comes back
+    window.addEventListener('online', function() {
+      if (currentState === STATE.OFFLINE) {
+        resumeVerification();
+      }
+    });
+  }
+
+  /**
+   * Lets the hosting app follow the flow and drive language and theme.
+   */
+  function startEmbedBridge() {
+    EmbedBridge.start({
+      allowedOrigins: options.embedOrigins,
+      commands: {
+        setLanguage: function(payload) {
+          if (!Locales.isSupported(payload.lang)) {
+            throw new Error('Unsupported language: ' + payload.lang);
+          }
+          switchLanguage(payload.lang);
+        },
+        setTheme: function(payload) {
+          setTheme(payload.theme);
+        }
+      }
+    });
+  }
+
+  // ==========================================================================
+  // Verification Flow
+  // ==========================================================================
+
+  function showOffline() {
+    offlineReason = navigator.onLine === false ? 'offline' : 'unavailable';
+    transition(STATE.OFFLINE);
+  }
+
+  function resumeVerification() {
+    if (transition(STATE.LOADING)) {
+      startVerification();
+    }
+  }
+
+  async function startVerification() {
     // Initialize Supabase and verify token
     const supabaseInitialized = await initSupabase();
     if (!supabaseInitialized) {
-      errorType = 'verificationFailed';
-      currentState = STATE.ERROR;
-      renderCurrentState();
+      showOffline();
       return;
     }
 
     const tokenValid = await verifyToken();
-    if (tokenValid) {
-      currentState = STATE.FORM;
-    } else {
-      currentState = STATE.ERROR;
+
+    // The link is still unused when it never reached Supabase
+    if (!tokenValid && errorType === 'networkError') {
+      showOffline();
+      return;
     }
-    renderCurrentState();
+
+    if (!tokenValid) {
+      // Keep the link only while retrying it could still succeed
+      if (getErrorBehavior(errorType).action !== 'retry') {
+        scrubAuthParams();
+      }
+      transition(STATE.ERROR);
+      return;
+    }
+
+    transition(await getVerifiedState());
+  }
+
+  /**
+   * Returns the state that follows a verified link. Accounts with TOTP must
+   * reach AAL2 before the password can change; a failed factor lookup
+   * returns the error state with errorType set.
+   */
+  async function getVerifiedState() {
+    const next = AUTH_ACTIONS[currentAction].next;
+    if (next !== STATE.FORM) return next;
+
+    try {
+      const factor = await getPendingMfaFactor();
+      if (!factor) return next;
+      mfaFactorId = factor.id;
+      return STATE.CHALLENGE;
+    } catch (error) {
+      console.error('MFA factor lookup error:', error);
+      errorType = classifyAuthError(error, 'verificationFailed');
+      return STATE.ERROR;
+    }
+  }
+
+  /**
+   * Goes back into the flow from an error raised after the link was
+   * verified, reusing the session. Stays on the error screen, updated, when
+   * the session has expired or the factor lookup fails again.
+   */
+  async function resumeVerifiedFlow() {
+    let next = await getVerifiedState();
+    if (currentState !== STATE.ERROR) return;
+
+    if (next !== STATE.ERROR && !canEnter(next)) {
+      errorType = 'sessionExpired';
+      next = STATE.ERROR;
+    }
+
+    if (next === STATE.ERROR) {
+      renderCurrentState();
+      presentState(STATE.ERROR);
+      return;
+    }
+
+    transition(next);
   }
 
   // Public API
   return {
     init: init,
     switchLanguage: switchLanguage,
-    toggleTheme: toggleTheme
+    toggleTheme: toggleTheme,
+    setTheme: setTheme,
+    getThemeMode: function() {
+      return themeMode;
+    },
+    getState: function() {
+      return currentState;
+    },
+    STATE: STATE
   };
 })();
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', function() {
-  PasswordReset.init();
-});
+// Initialize when DOM is ready, unless the embedding page opts out with
+// <script src="js/password-reset.js" data-auto-init="false"> and calls
+// PasswordReset.init(options) itself
+(function() {
+  const script = document.currentScript;
+  if (script && script.dataset.autoInit === 'false') return;
+
+  document.addEventListener('DOMContentLoaded', function() {
+    PasswordReset.init();
+  });
+})();
@@ -0,0 +1,391 @@
+/**
+ * Tikky Password Reset - Password Strength Estimator
+ * Scores passwords by estimated entropy, penalising predictable patterns
+ */
+
+const PasswordStrength = (function() {
+  'use strict';
+
+  // ==========================================================================
+  // Constants
+  // ==========================================================================
+
+  const MIN_PATTERN_LENGTH = 3;
+  const MIN_WORD_LENGTH = 4;
+
+  // Entropy (bits) thresholds for scores 1..4; anything below the first is 0
+  const SCORE_THRESHOLDS = [28, 40, 55, 70];
+
+  // Bits credited to a dictionary hit, roughly log2 of a 20k word list
+  const WORD_BITS = 14;
+  const COMMON_PASSWORD_BITS = 4;
+
+  const KEYBOARD_ROWS = [
+    '1234567890',
+    'qwertyuiop',
+    'asdfghjkl',
+    'zxcvbnm',
+    'qwertzuiop',
+    'yxcvbnm',
+    'azertyuiop',
+    'qsdfghjklm',
+    'wxcvbn',
+    '1qaz2wsx3edc4rfv5tgb6yhn7ujm8ik9ol0p',
+    'qazwsxedcrfvtgbyhnujmikolp'
+  ];
+
+  const LEET_MAP = {
+    '@': 'a', '4': 'a', '8': 'b', '(': 'c', '3': 'e', '6': 'g',
+    '1': 'i', '!': 'i', '|': 'l', '0': 'o', '$': 's', '5': 's',
+    '7': 't', '+': 't', '2': 'z'
+  };
+
+  const COMMON_PASSWORDS = [
+    '123456', 'password', '12345678', 'qwerty', '123456789', '12345', '1234',
+    '111111', '1234567', 'dragon', '123123', 'baseball', 'abc123', 'football',
+    'monkey', 'letmein', '696969', 'shadow', 'master', '666666', 'qwertyuiop',
+    '123321', 'mustang', '1234567890', 'michael', '654321', 'superman',
+    '1qaz2wsx', '7777777', '121212', '000000', 'qazwsx', '123qwe', 'killer',
+    'trustno1', 'jordan', 'jennifer', 'zxcvbnm', 'asdfgh', 'hunter', 'buster',
+    'soccer', 'harley', 'batman', 'andrew', 'tigger', 'sunshine', 'iloveyou',
+    'fuckyou', '2000', 'charlie', 'robert', 'thomas', 'hockey', 'ranger',
+    'daniel', 'starwars', 'klaster', '112233', 'george', 'computer', 'michelle',
+    'jessica', 'pepper', '1111', 'zxcvbn', '555555', '11111111', '131313',
+    'freedom', '777777', 'pass', 'maggie', '159753', 'aaaaaa', 'ginger',
+    'princess', 'joshua', 'cheese', 'amanda', 'summer', 'love', 'ashley',
+    'nicole', 'chelsea', 'biteme', 'matthew', 'access', 'yankees', '987654321',
+    'dallas', 'austin', 'thunder', 'taylor', 'matrix', 'welcome', 'admin',
+    'login', 'passw0rd', 'password1', 'qwerty123', 'changeme', 'secret',
+    'contraseña', 'contrasena', 'teamo', 'tequiero', 'hola', 'holamundo',
+    'barcelona', 'realmadrid', 'mariposa', 'estrella', 'azerty', 'woaini',
+    'tikky', 'tikkyapp'
+  ];
+
+  const DICTIONARY_WORDS = [
+    'about', 'account', 'admin', 'angel', 'apple', 'baby', 'banana', 'battery',
+    'bear', 'beautiful', 'best', 'bird', 'black', 'blue', 'boss', 'brown',
+    'butterfly', 'casa', 'cat', 'chicken', 'chocolate', 'city', 'coffee',
+    'cookie', 'correct', 'corazon', 'dance', 'dark', 'diamond', 'dios',
+    'dragon', 'dream', 'eagle', 'family', 'familia', 'fire', 'fish', 'flower',
+    'forever', 'friend', 'futbol', 'galaxy', 'garden', 'gato', 'girl', 'gold',
+    'golden', 'good', 'green', 'happy', 'heart', 'hello', 'home', 'horse',
+    'house', 'jesus', 'king', 'lady', 'life', 'light', 'lion', 'little',
+    'lover', 'lucky', 'magic', 'mama', 'mario', 'maria', 'money', 'moon',
+    'mother', 'music', 'naranja', 'night', 'ninja', 'orange', 'papa', 'party',
+    'perro', 'pink', 'pizza', 'player', 'power', 'purple', 'queen', 'rabbit',
+    'rainbow', 'rock', 'rose', 'secret', 'silver', 'sky', 'smile', 'snow',
+    'soccer', 'staple', 'star', 'sun', 'sunny', 'super', 'sweet', 'tiger',
+    'time', 'tree', 'water', 'welcome', 'white', 'winter', 'wolf', 'world',
+    'yellow'
+  ];
+
+  // ==========================================================================
+  // Helpers
+  // ==========================================================================
+
+  function log2(n) {
+    return Math.log(n) / Math.LN2;
+  }
+
+  function characterPoolSize(password) {
+    let pool = 0;
+    if (/[a-z]/.test(password)) pool += 26;
+    if (/[A-Z]/.test(password)) pool += 26;
+    if (/[0-9]/.test(password)) pool += 10;
+    if (/[^a-zA-Z0-9\u0080-\uffff]/.test(password)) pool += 33;
+    if (/[\u0080-\uffff]/.test(password)) pool += 100;
+    return pool || 1;
+  }
+
+  function unleet(text) {
+    return text.split('').map(function(ch) {
+      return LEET_MAP[ch] || ch;
+    }).join('');
+  }
+
+  function getUserTokens(userInputs) {
+    const tokens = [];
+    (userInputs || []).forEach(function(input) {
+      if (!input) return;
+      const value = String(input).toLowerCase();
+      const parts = value.split('@');
+      const local = parts[0];
+      const domain = parts[1] ? parts[1].split('.')[0] : '';
+
+      tokens.push(local);
+      local.split(/[._+\-0-9]+/).forEach(function(part) {
+        tokens.push(part);
+      });
+      if (domain) tokens.push(domain);
+    });
+
+    return tokens.filter(function(token, index) {
+      return token.length >= MIN_PATTERN_LENGTH && tokens.indexOf(token) === index;
+    });
+  }
+
+  // ==========================================================================
+  // Pattern Matchers
+  // Each matcher returns { start, end, bits, kind } for the spans it finds.
+  // ==========================================================================
+
+  function findRepeats(password) {
+    const matches = [];
+
+    // Single repeated characters: aaaa, 1111
+    const runRegex = /(.)\1{2,}/g;
+    let match;
+    while ((match = runRegex.exec(password)) !== null) {
+      matches.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        bits: log2(characterPoolSize(match[1])) + log2(match[0].length),
+        kind: 'repeat'
+      });
+    }
+
+    // Repeated chunks: abcabc, 1212
+    const chunkRegex = /(.{2,}?)\1+/g;
+    while ((match = chunkRegex.exec(password)) !== null) {
+      const repeatCount = match[0].length / match[1].length;
+      matches.push({
+        start: match.index,
+        end: match.index + match[0].length,
+        bits: match[1].length * log2(characterPoolSize(match[1])) + log2(repeatCount),
+        kind: 'repeat'
+      });
+    }
+
+    return matches;
+  }
+
+  function findSequences(password) {
+    const matches = [];
+    let start = 0;
+    let delta = null;
+
+    function flush(end) {
+      const length = end - start;
+      if (length >= MIN_PATTERN_LENGTH && Math.abs(delta) === 1) {
+        matches.push({
+          start: start,
+          end: end,
+          bits: log2(characterPoolSize(password.slice(start, end))) + log2(length) + 1,
+          kind: 'sequence'
+        });
+      }
+    }
+
+    for (let i = 1; i < password.length; i++) {
+      const step = password.charCodeAt(i) - password.charCodeAt(i - 1);
+      if (step !== delta) {
+        flush(i);
+        start = i - 1;
+        delta = step;
+      }
+    }
+    flush(password.length);
+
+    return matches;
+  }
+
+  function findKeyboardPatterns(password) {
+    const matches = [];
+    const lower = password.toLowerCase();
+    const rows = KEYBOARD_ROWS.concat(KEYBOARD_ROWS.map(function(row) {
+      return row.split('').reverse().join('');
+    }));
+
+    for (let i = 0; i < lower.length; i++) {
+      let best = 0;
+      rows.forEach(function(row) {
+        let length = 0;
+        while (i + length < lower.length &&
+               row.indexOf(lower.slice(i, i + length + 1)) !== -1) {
+          length++;
+        }
+        if (length > best) best = length;
+      });
+
+      if (best > MIN_PATTERN_LENGTH) {
+        matches.push({
+          start: i,
+          end: i + best,
+          bits: log2(KEYBOARD_ROWS.length * 2) + log2(best) + 2,
+          kind: 'keyboard'
+        });
+        i += best - 1;
+      }
+    }
+
+    return matches;
+  }
+
+  function findWords(password, words, kind, bitsPerWord) {
+    const matches = [];
+    const lower = password.toLowerCase();
+    const normalized = unleet(lower);
+
+    words.forEach(function(word) {
+      if (word.length < MIN_WORD_LENGTH && kind !== 'userInput') return;
+
+      [lower, normalized].forEach(function(haystack) {
+        let index = haystack.indexOf(word);
+        while (index !== -1) {
+          const original = password.slice(index, index + word.length);
+          const substitutions = original.toLowerCase() === word ? 0 : 1;
+          const capitalised = original !== original.toLowerCase() ? 1 : 0;
+          matches.push({
+            start: index,
+            end: index + word.length,
+            bits: bitsPerWord + substitutions + capitalised,
+            kind: kind
+          });
+          index = haystack.indexOf(word, index + 1);
+        }
+      });
+    });
+
+    return matches;
+  }
+
+  // ==========================================================================
+  // Scoring
+  // ==========================================================================
+
+  /**
+   * Picks the cheapest non-overlapping cover of the password, treating any
+   * character not covered by a pattern as brute force at the full pool size.
+   */
+  function computeEntropy(password, matches) {
+    const bruteBits = log2(characterPoolSize(password));
+    const best = new Array(password.length + 1).fill(Infinity);
+    const chosen = new Array(password.length + 1).fill(null);
+    best[0] = 0;
+
+    for (let i = 1; i <= password.length; i++) {
+      best[i] = best[i - 1] + bruteBits;
+      chosen[i] = null;
+
+      matches.forEach(function(match) {
+        if (match.end !== i) return;
+        const candidate = best[match.start] + match.bits;
+        if (candidate < best[i]) {
+          best[i] = candidate;
+          chosen[i] = match;
+        }
+      });
+    }
+
+    const used = [];
+    let position = password.length;
+    while (position > 0) {
+      const match = chosen[position];
+      if (match) {
+        used.push(match);
+        position = match.start;
+      } else {
+        position--;
+      }
+    }
+
+    return { bits: best[password.length], patterns: used };
+  }
+
+  function scoreFromBits(bits) {
+    let score = 0;
+    SCORE_THRESHOLDS.forEach(function(threshold, index) {
+      if (bits >= threshold) score = index + 1;
+    });
+    return score;
+  }
+
+  function buildFeedback(password, score, patterns, isCommon) {
+    const kinds = patterns.map(function(pattern) {
+      return pattern.kind;
+    });
+    const suggestions = [];
+    let warning = null;
+
+    if (score >= 3 && !isCommon) {
+      return { warning: null, suggestions: [] };
+    }
+
+    if (isCommon) {
+      warning = 'common';
+    } else if (kinds.indexOf('userInput') !== -1) {
+      warning = 'userInput';
+      suggestions.push('avoidPersonal');
+    } else if (kinds.indexOf('keyboard') !== -1) {
+      warning = 'keyboard';
+      suggestions.push('avoidPatterns');
+    } else if (kinds.indexOf('sequence') !== -1) {
+      warning = 'sequence';
+      suggestions.push('avoidPatterns');
+    } else if (kinds.indexOf('repeat') !== -1) {
+      warning = 'repeat';
+      suggestions.push('avoidPatterns');
+    } else if (kinds.indexOf('common') !== -1) {
+      warning = 'containsCommon';
+    } else if (kinds.indexOf('dictionary') !== -1) {
+      warning = 'dictionary';
+    } else if (password.length < 12) {
+      warning = 'short';
+    }
+
+    suggestions.push('addWords');
+    if (characterPoolSize(password) < 62) {
+      suggestions.push('mixTypes');
+    }
+
+    return {
+      warning: warning,
+      suggestions: suggestions.filter(function(item, index) {
+        return suggestions.indexOf(item) === index;
+      })
+    };
+  }
+
+  /**
+   * Estimates the strength of a password.
+   * @param {string} password
+   * @param {string[]} [userInputs] - Values the password must not be built
+   *   from, such as the account email.
+   * @returns {{ score: number, bits: number, feedback: { warning: ?string, suggestions: string[] } }}
+   */
+  function estimate(password, userInputs) {
+    if (!password) {
+      return { score: 0, bits: 0, feedback: { warning: null, suggestions: [] } };
+    }
+
+    const lower = password.toLowerCase();
+    const stripped = lower.replace(/[0-9!@#$%^&*.]+$/, '');
+    const candidates = [lower, unleet(lower), stripped, unleet(stripped)];
+    const isCommon = candidates.some(function(candidate) {
+      return COMMON_PASSWORDS.indexOf(candidate) !== -1;
+    });
+
+    const matches = []
+      .concat(findRepeats(password))
+      .concat(findSequences(password))
+      .concat(findKeyboardPatterns(password))
+      .concat(findWords(password, COMMON_PASSWORDS, 'common', COMMON_PASSWORD_BITS))
+      .concat(findWords(password, DICTIONARY_WORDS, 'dictionary', WORD_BITS))
+      .concat(findWords(password, getUserTokens(userInputs), 'userInput', 1));
+
+    const result = computeEntropy(password, matches);
+    const score = isCommon ? 0 : scoreFromBits(result.bits);
+
+    return {
+      score: score,
+      bits: Math.round(result.bits),
+      feedback: buildFeedback(password, score, result.patterns, isCommon)
+    };
+  }
+
+  // Public API
+  return {
+    estimate: estimate,
+    MAX_SCORE: SCORE_THRESHOLDS.length
+  };
+})();
@@ -0,0 +1,102 @@
+/**
+ * Tikky - Rich Text
+ * Escaping and sanitizing for locale strings, which may carry a small set of
+ * inline markup.
+ */
+
+const RichText = (function() {
+  'use strict';
+
+  // ==========================================================================
+  // Constants
+  // ==========================================================================
+
+  // Locale strings may carry this markup and nothing else; links must point
+  // at mailto: or https: targets
+  const ALLOWED_TAGS = ['strong', 'em', 'a', 'br'];
+  const DROPPED_TAGS = ['script', 'style', 'noscript', 'template'];
+  const SAFE_LINK_PATTERN = /^(mailto:|https:)/i;
+  // `dir` survives on the other allowed tags, to isolate e.g. an address in
+  // right-to-left text
+  const DIRECTIONS = ['ltr', 'rtl', 'auto'];
+  const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+  // ==========================================================================
+  // Sanitizer
+  // ==========================================================================
+
+  /**
+   * Rebuilds a parsed node from allowlisted markup only.
+   */
+  function sanitizeNode(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return escape(node.textContent);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const tag = node.tagName.toLowerCase();
+    if (DROPPED_TAGS.indexOf(tag) !== -1) return '';
+
+    // Elements outside the allowlist are unwrapped, keeping their text
+    const children = Array.from(node.childNodes).map(sanitizeNode).join('');
+    if (ALLOWED_TAGS.indexOf(tag) === -1) return children;
+
+    if (tag === 'br') return '<br>';
+
+    if (tag === 'a') {
+      const href = (node.getAttribute('href') || '').trim();
+      if (!SAFE_LINK_PATTERN.test(href)) return children;
+      const rel = /^https:/i.test(href) ? ' rel="noopener noreferrer"' : '';
+      return '<a href="' + escape(href) + '"' + rel + '>' + children + '</a>';
+    }
+
+    const dir = (node.getAttribute('dir') || '').toLowerCase();
+    const dirAttr = DIRECTIONS.indexOf(dir) !== -1 ? ' dir="' + dir + '"' : '';
+    return '<' + tag + dirAttr + '>' + children + '</' + tag + '>';
+  }
+
+  // ==========================================================================
+  // Public Functions
+  // ==========================================================================
+
+  /**
+   * Escapes a value for use in HTML text or attribute values.
+   * @param {*} value
+   * @returns {string}
+   */
+  function escape(value) {
+    return String(value === null || value === undefined ? '' : value).replace(/[&<>"']/g, function(char) {
+      return HTML_ESCAPES[char];
+    });
+  }
+
+  /**
+   * Reduces a locale string to the allowed rich-text markup. Parsing happens
+   * in an inert template, so nothing in the input runs or loads.
+   * @param {string} html
+   * @returns {string}
+   */
+  function sanitize(html) {
+    const template = document.createElement('template');
+    template.innerHTML = String(html === null || html === undefined ? '' : html);
+    return Array.from(template.content.childNodes).map(sanitizeNode).join('');
+  }
+
+  /**
+   * Returns the text of a locale string without any markup.
+   * @param {string} html
+   * @returns {string}
+   */
+  function toText(html) {
+    const template = document.createElement('template');
+    template.innerHTML = sanitize(html);
+    return template.content.textContent;
+  }
+
+  // Public API
+  return {
+    escape: escape,
+    sanitize: sanitize,
+    toText: toText
+  };
+})();